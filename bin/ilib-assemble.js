@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/*
+ * ilib-assemble.js - command-line tool to assemble the split locale data
+ * files in a set of roots into one file per locale
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const LocaleAssembler = require('../lib/LocaleAssembler.js');
+
+const usage = `Usage: ilib-assemble --locales locale[,locale...] [options] root [root ...]
+
+Assemble the locale data split into files such as [root]/de/DE/numfmt.json
+into one file per locale, such as de-DE.json or de-DE.js, that can be loaded
+with LocaleData.ensureLocale. Roots earlier in the list take precedence.
+
+  --locales list    comma-separated list of locales to assemble (required)
+  --basenames list  comma-separated list of basenames to include. Default: all
+  --format format   one of "json", "cjs" or "esm". Default: json
+  --output dir      directory to write the assembled files to. Default: .
+  --sparse          leave out sublocales that have no data
+  --help            show this message`;
+
+const args = process.argv.slice(2);
+let options = {};
+let roots = [];
+const valueOptions = ["--locales", "--basenames", "--format", "--output"];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+    if (arg === "--help" || arg === "-h") {
+        console.log(usage);
+        process.exit(0);
+    } else if (arg === "--sparse") {
+        options.sparse = true;
+    } else if (valueOptions.indexOf(name) > -1) {
+        const value = (typeof(inlineValue) !== 'undefined') ? inlineValue : args[++i];
+        if (!value) {
+            console.error(`Missing value for ${name}\n\n${usage}`);
+            process.exit(2);
+        }
+        options[name.substring(2)] = value;
+    } else if (arg.startsWith("-")) {
+        console.error(`Unknown option ${arg}\n\n${usage}`);
+        process.exit(2);
+    } else {
+        roots.push(arg);
+    }
+}
+
+if (!roots.length || !options.locales) {
+    console.error(usage);
+    process.exit(2);
+}
+
+let written;
+try {
+    const assembler = new LocaleAssembler({
+        roots,
+        locales: options.locales.split(","),
+        basenames: options.basenames ? options.basenames.split(",") : undefined,
+        format: options.format,
+        outputDir: options.output,
+        sparse: options.sparse
+    });
+    written = assembler.write();
+} catch (e) {
+    console.error(e.message || e);
+    process.exit(2);
+}
+
+written.forEach(fileName => console.log(`Wrote ${fileName}`));
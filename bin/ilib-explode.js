@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/*
+ * ilib-explode.js - command-line tool to split assembled locale data
+ * files into the per-sublocale, per-basename files of a root
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const LocaleExploder = require('../lib/LocaleExploder.js');
+
+const usage = `Usage: ilib-explode [options] file [file ...]
+
+Split assembled locale data files, such as de-DE.js or ja-JP.json, into one
+file per sublocale and basename, such as [output]/de/DE/numfmt.json, which
+is the layout that LocaleData.loadData reads.
+
+  --basenames list  comma-separated list of basenames to include. Default: all
+  --output dir      root directory to write the split files to. Default: .
+  --overwrite       replace files that already exist in the output directory
+  --help            show this message`;
+
+const args = process.argv.slice(2);
+let options = {};
+let files = [];
+const valueOptions = ["--basenames", "--output"];
+
+for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+    if (arg === "--help" || arg === "-h") {
+        console.log(usage);
+        process.exit(0);
+    } else if (arg === "--overwrite") {
+        options.overwrite = true;
+    } else if (valueOptions.indexOf(name) > -1) {
+        const value = (typeof(inlineValue) !== 'undefined') ? inlineValue : args[++i];
+        if (!value) {
+            console.error(`Missing value for ${name}\n\n${usage}`);
+            process.exit(2);
+        }
+        options[name.substring(2)] = value;
+    } else if (arg.startsWith("-")) {
+        console.error(`Unknown option ${arg}\n\n${usage}`);
+        process.exit(2);
+    } else {
+        files.push(arg);
+    }
+}
+
+if (!files.length) {
+    console.error(usage);
+    process.exit(2);
+}
+
+let exploder;
+try {
+    exploder = new LocaleExploder({
+        basenames: options.basenames ? options.basenames.split(",") : undefined,
+        outputDir: options.output,
+        overwrite: options.overwrite
+    });
+} catch (e) {
+    console.error(e.message || e);
+    process.exit(2);
+}
+
+exploder.explode(files).then((written) => {
+    written.forEach(fileName => console.log(`Wrote ${fileName}`));
+}).catch((e) => {
+    console.error(e.message || e);
+    process.exit(2);
+});
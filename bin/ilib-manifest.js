@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/*
+ * ilib-manifest.js - command-line tool to generate or check the
+ * ilibmanifest.json files in locale data roots
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const ManifestGenerator = require('../lib/ManifestGenerator.js');
+
+const usage = `Usage: ilib-manifest [--check] root [root ...]
+
+Generate the ilibmanifest.json file for each of the given locale data
+roots and for any nested package subroots within them.
+
+  --check   do not write anything. Instead, exit with a non-zero status
+            if any manifest on disk is missing or out of date.
+  --help    show this message`;
+
+const args = process.argv.slice(2);
+let check = false;
+let roots = [];
+
+args.forEach(arg => {
+    if (arg === "--check") {
+        check = true;
+    } else if (arg === "--help" || arg === "-h") {
+        console.log(usage);
+        process.exit(0);
+    } else if (arg.startsWith("-")) {
+        console.error(`Unknown option ${arg}\n\n${usage}`);
+        process.exit(2);
+    } else {
+        roots.push(arg);
+    }
+});
+
+if (!roots.length) {
+    console.error(usage);
+    process.exit(2);
+}
+
+let stale = [];
+try {
+    roots.forEach(root => {
+        const generator = new ManifestGenerator({ root });
+        if (check) {
+            stale = stale.concat(generator.check());
+        } else {
+            generator.write().forEach(fileName => console.log(`Wrote ${fileName}`));
+        }
+    });
+} catch (e) {
+    console.error(e.message || e);
+    process.exit(2);
+}
+
+if (stale.length) {
+    stale.forEach(fileName => console.error(`Manifest is out of date: ${fileName}`));
+    process.exit(1);
+}
@@ -22,12 +22,99 @@ import log4js from '@log4js-node/log4js-api';
 
 import { Path } from 'ilib-common';
 import { top } from 'ilib-env';
+import Locale from 'ilib-locale';
+
+import EventHub from './EventHub.js';
+import FallbackRegistry from './FallbackRegistry.js';
+import { deepFreeze } from './immutable.js';
 
 /**
  * @private
  */
 function getLocaleSpec(locale) {
-    return !locale || locale.getRegion() === "001" ? "root" : locale.getSpec();
+    if (!locale) return "root";
+    // the world region without a language is the same as the root locale,
+    // but a language with it, such as "en-001", is a locale of its own
+    const language = locale.getLanguage();
+    return (locale.getRegion() === "001" && (!language || language === "und")) ? "root" : locale.getSpec();
+}
+
+/**
+ * @private
+ */
+function emitEvent(eventName, root, localeSpec, basename, pathName) {
+    EventHub.getEventHub().emit(eventName, {
+        root,
+        path: pathName,
+        locale: localeSpec,
+        basename
+    });
+}
+
+/**
+ * @private
+ */
+function getEntryKey(root, localeSpec) {
+    return `${root}\u0000${localeSpec}`;
+}
+
+/**
+ * @private
+ */
+function getDependencyKey(root, localeSpec, basename) {
+    return `${root}\u0000${localeSpec}\u0000${basename}`;
+}
+
+/**
+ * @private
+ */
+function newCounters() {
+    return {
+        hits: 0,
+        misses: 0,
+        negatives: 0
+    };
+}
+
+/**
+ * @private
+ */
+function newStats() {
+    return {
+        hits: 0,
+        misses: 0,
+        negatives: 0,
+        loaderCalls: 0,
+        mergedHits: 0,
+        byRoot: {},
+        byLocale: {},
+        byBasename: {}
+    };
+}
+
+/**
+ * @private
+ */
+function countLookup(counters, key, type) {
+    if (!counters[key]) {
+        counters[key] = newCounters();
+    }
+    counters[key][type]++;
+}
+
+/**
+ * Return the approximate number of bytes that the given data occupies
+ * in memory.
+ * @private
+ */
+function getByteSize(data) {
+    if (typeof(data) === 'undefined') return 0;
+    try {
+        // strings are stored as UTF-16 in memory
+        return JSON.stringify(data).length * 2;
+    } catch (e) {
+        return 0;
+    }
 }
 
 /**
@@ -56,27 +143,58 @@ class DataCache {
     /**
      * Create a locale data cache.
      *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>maxEntries {number} - the maximum number of items to store in
+     * the cache. (See the `size` method.) When this is exceeded, the least
+     * recently used locales are evicted from the cache. Default: no limit
+     * <li>maxBytes {number} - the approximate maximum number of bytes of
+     * memory that the data in the cache may occupy. When this is exceeded,
+     * the least recently used locales are evicted from the cache.
+     * Default: no limit
+     * </ul>
+     *
      * @private
-     * @param {string} name the unique name for this type of locale data
+     * @param {Object} options options controlling the operation of this
+     * cache, as detailed above
      * @constructor
      */
-    constructor() {
+    constructor(options) {
         this.logger = log4js.getLogger("ilib-localedata");
 
         this.logger.trace("new DataCache instance");
 
         this.count = 0;
+        this.bytes = 0;
         this.data = {};
         this.loaded = new Set();
+        this.manifests = {};
+
+        // Map iterates in insertion order, so the least recently used
+        // locale entry is always first
+        this.lru = new Map();
+        this.maxEntries = 0;
+
+        // merged results, and which of them depend on each cached item
+        this.merged = new Map();
+        this.dependents = new Map();
+        this.maxBytes = 0;
+        this.measured = true;
+
+        this.stats = newStats();
+
+        this.setLimits(options);
     }
 
     /**
      * Factory method to create a new DataCache singleton.
      * @param {Object} options options to pass to the constructor. (See
-     * the constructor's documentation for details.
+     * the constructor's documentation for details.) If the singleton already
+     * exists, the limits in the options are applied to it.
      * @returns {DataCache} the data cache for the given package
      */
-    static getDataCache() {
+    static getDataCache(options) {
         const globalScope = top();
 
         if (!globalScope.ilib) {
@@ -84,7 +202,9 @@ class DataCache {
         }
 
         if (!globalScope.ilib.dataCache) {
-            globalScope.ilib.dataCache = new DataCache();
+            globalScope.ilib.dataCache = new DataCache(options);
+        } else if (options) {
+            globalScope.ilib.dataCache.setLimits(options);
         }
 
         return globalScope.ilib.dataCache;
@@ -120,24 +240,50 @@ class DataCache {
             this.data[root] = {};
         }
         if ( !this.data[root][localeSpec] ) {
+            this.recordLookup(root, localeSpec, basename, undefined);
             return undefined;
         }
 
-        return basename ? this.data[root][localeSpec][basename] : this.data[root][localeSpec];
+        this.touch(root, localeSpec);
+
+        const data = basename ? this.data[root][localeSpec][basename] : this.data[root][localeSpec];
+        this.recordLookup(root, localeSpec, basename, data);
+        return data;
     };
 
+    /**
+     * Return true if the cache has an item for the given basename and locale in
+     * the given root, even if the item records that the data does not exist.
+     * Unlike `getData`, this does not count as a lookup in the statistics, and
+     * it does not count as using the locale for the purposes of eviction.
+     *
+     * @param {string} root the root from which the data was loaded
+     * @param {string} basename the base name of this type of data
+     * @param {Locale} locale the full or partial locale of this data
+     * @returns {boolean} true if the cache has an item for the data
+     */
+    hasData(root, basename, locale) {
+        const localeData = this.data[root] && this.data[root][getLocaleSpec(locale)];
+        return !!localeData && typeof(localeData[basename]) !== 'undefined';
+    }
+
     /**
      * Store the given data for the given full or partial locale. The data may be given
      * as null to indicate explicitly that there is no data for this locale of the the
      * given type. This may be because of various reasons. For example, there is no locale
-     * data file for the locale.
+     * data file for the locale.<p>
+     *
+     * The data is shared by everything that uses the cache, so it is deep-frozen
+     * before it is stored to make sure that none of them can change it for the others.
      *
      * @param {string} root the root from which the data was loaded
      * @param {string} basename the base name of this type of data
      * @param {Locale} locale the full or partial locale of this data
      * @param {Object} data the data to store for this locale
+     * @param {string=} pathName the path to the file that the data was loaded
+     * from, if any
      */
-    storeData(root, basename, locale, data) {
+    storeData(root, basename, locale, data, pathName) {
         this.logger.trace(`Storing data for ${basename} locale ${locale ? locale.getSpec() : "root"} in the cache.`);
         if (!basename) {
             this.logger.info(`Attempt to store data in the cache with no basename.`);
@@ -154,7 +300,8 @@ class DataCache {
         }
 
 
-        if (this.data[root][localeSpec][basename]) {
+        const existed = typeof(this.data[root][localeSpec][basename]) !== 'undefined';
+        if (existed) {
             if (typeof(data) === 'undefined') {
                 // setting to undefined is the same as removing
                 this.count--;
@@ -163,7 +310,137 @@ class DataCache {
             this.count++;
         }
 
-        this.data[root][localeSpec][basename] = data;
+        this.data[root][localeSpec][basename] = deepFreeze(data);
+        this.invalidateMergedData(getDependencyKey(root, localeSpec, basename));
+
+        const entry = this.touch(root, localeSpec);
+        const oldBytes = entry.sizes[basename] || 0;
+        this.bytes -= oldBytes;
+        entry.bytes -= oldBytes;
+        delete entry.sizes[basename];
+        if (this.maxBytes > 0) {
+            // only measure the data when there is a byte limit to enforce.
+            // Otherwise, it is measured when someone asks for the size.
+            const bytes = getByteSize(data);
+            this.bytes += bytes;
+            entry.bytes += bytes;
+            entry.sizes[basename] = bytes;
+        } else {
+            this.measured = false;
+        }
+        if (pathName && typeof(data) !== 'undefined') {
+            entry.paths[basename] = pathName;
+        } else {
+            delete entry.paths[basename];
+        }
+
+        if (typeof(data) !== 'undefined') {
+            emitEvent("cacheStore", root, localeSpec, basename, pathName);
+        } else if (existed) {
+            emitEvent("cacheClear", root, localeSpec, basename);
+        }
+
+        this.evict(entry);
+    }
+
+    /**
+     * Return the merged data that was stored with the given key.
+     *
+     * @param {string} key the key for the merged data, which identifies
+     * everything that went into making it
+     * @returns {Object|undefined} an object with the property "data" that
+     * contains the merged data, and any other properties that were stored
+     * with it, or undefined if the merged data is not in the cache
+     */
+    getMergedData(key) {
+        const entry = this.merged.get(key);
+        if (entry) {
+            this.stats.mergedHits++;
+        }
+        return entry;
+    }
+
+    /**
+     * Store the result of merging the data of many cached items. The merged
+     * data is removed from the cache again as soon as any of the items that it
+     * depends on is stored, removed or evicted, so it never outlives the data
+     * it was made from. Callers should check with `hasData` that the items
+     * are still in the cache before storing the merge of them. The merged data
+     * is deep-frozen, and it does not count towards the limits of this cache.
+     *
+     * @param {string} key the key for the merged data, which identifies
+     * everything that went into making it
+     * @param {Object} entry an object with the property "data" that contains
+     * the merged data, and any other properties to return with it
+     * @param {Array.<Object>} dependencies the items that the merged data was
+     * made from, or could have been made from if they had data. Each has the
+     * properties "root", "locale" and "basename"
+     */
+    storeMergedData(key, entry, dependencies) {
+        this.removeMergedData(key);
+        deepFreeze(entry.data);
+        const keys = dependencies.map(dependency =>
+            getDependencyKey(dependency.root, getLocaleSpec(dependency.locale), dependency.basename)
+        );
+        this.merged.set(key, Object.assign({}, entry, { dependencies: keys }));
+        keys.forEach((dependencyKey) => {
+            if (!this.dependents.has(dependencyKey)) {
+                this.dependents.set(dependencyKey, new Set());
+            }
+            this.dependents.get(dependencyKey).add(key);
+        });
+    }
+
+    /**
+     * Remove all of the merged data from the cache, such as when the fallback
+     * chains of locales change, without removing the data for each item.
+     */
+    clearMergedData() {
+        this.merged.clear();
+        this.dependents.clear();
+    }
+
+    /**
+     * @private
+     */
+    removeMergedData(key) {
+        const entry = this.merged.get(key);
+        if (!entry) return;
+        entry.dependencies.forEach((dependencyKey) => {
+            const dependents = this.dependents.get(dependencyKey);
+            if (dependents) {
+                dependents.delete(key);
+                if (!dependents.size) this.dependents.delete(dependencyKey);
+            }
+        });
+        this.merged.delete(key);
+    }
+
+    /**
+     * Remove the merged data that depends on the item with the given key.
+     * @private
+     */
+    invalidateMergedData(dependencyKey) {
+        const dependents = this.dependents.get(dependencyKey);
+        if (dependents) {
+            Array.from(dependents).forEach(key => this.removeMergedData(key));
+        }
+    }
+
+    /**
+     * Return the path to the file that the data for the given basename and
+     * locale in the given root was loaded from.
+     *
+     * @param {string} root the root from which the data was loaded
+     * @param {string} basename the base name of this type of data
+     * @param {Locale} locale the full or partial locale of this data
+     * @returns {string|undefined} the path to the file, or undefined if the data
+     * is not in the cache or was not loaded from a file, such as data that was
+     * given to `LocaleData.cacheData`
+     */
+    getPath(root, basename, locale) {
+        const entry = this.lru.get(getEntryKey(root, getLocaleSpec(locale)));
+        return entry ? entry.paths[basename] : undefined;
     }
 
     /**
@@ -189,6 +466,244 @@ class DataCache {
         return this.count;
     }
 
+    /**
+     * Record the outcome of a lookup in the statistics.
+     * @private
+     */
+    recordLookup(root, localeSpec, basename, data) {
+        const type = (typeof(data) === 'undefined') ? "misses" : (data === null ? "negatives" : "hits");
+        this.stats[type]++;
+        countLookup(this.stats.byRoot, root, type);
+        countLookup(this.stats.byLocale, localeSpec, type);
+        if (basename) {
+            countLookup(this.stats.byBasename, basename, type);
+        }
+    }
+
+    /**
+     * Record that the loader was called to load files on behalf of this cache.
+     */
+    recordLoaderCall() {
+        this.stats.loaderCalls++;
+    }
+
+    /**
+     * Return statistics about the operation of this cache. The statistics
+     * are returned as an object with the following properties:
+     *
+     * <ul>
+     * <li>hits {number} - the number of lookups that found data
+     * <li>misses {number} - the number of lookups that found no information
+     * about the requested data, which means it needs to be loaded
+     * <li>negatives {number} - the number of lookups that found that the
+     * requested data is known not to exist
+     * <li>byRoot {Object} - the hits, misses, and negatives for each root
+     * <li>byLocale {Object} - the hits, misses, and negatives for each locale
+     * <li>byBasename {Object} - the hits, misses, and negatives for each basename
+     * <li>loaderCalls {number} - the number of times the loader was called to
+     * load files
+     * <li>mergedHits {number} - the number of times that merged data was
+     * found in the cache, so none of the data for the individual files had to
+     * be looked up
+     * <li>loadedFiles {number} - the number of files that are recorded as
+     * having been loaded already
+     * <li>entries {number} - the number of items in the cache (see the `size` method)
+     * <li>negativeEntries {number} - the number of items in the cache that record
+     * that the data does not exist
+     * <li>bytes {number} - the approximate number of bytes of data in the cache
+     * <li>mergedEntries {number} - the number of merged results in the cache
+     * </ul>
+     *
+     * @returns {Object} the statistics, as detailed above
+     */
+    getStats() {
+        let negativeEntries = 0;
+        for (let entry of this.entries()) {
+            if (entry.data === null) negativeEntries++;
+        }
+        return Object.assign(JSON.parse(JSON.stringify(this.stats)), {
+            loadedFiles: this.loaded.size,
+            entries: this.count,
+            negativeEntries,
+            bytes: this.byteSize(),
+            mergedEntries: this.merged.size
+        });
+    }
+
+    /**
+     * Reset the hit, miss, negative, and loader call counters to zero.
+     */
+    resetStats() {
+        this.stats = newStats();
+    }
+
+    /**
+     * Return an iterator over all of the items in the cache. Each item is
+     * an object with the properties "root", "locale", "basename" and "data",
+     * where the locale is the locale spec of the data, and the data is either
+     * the cached data or null if the data is known not to exist. Iterating
+     * over the items does not count as using them for the purposes of
+     * evicting the least recently used locales.
+     *
+     * @returns {Iterator.<Object>} an iterator over the cached items
+     */
+    entries() {
+        let items = [];
+        for (let root in this.data) {
+            for (let locale in this.data[root]) {
+                const localeData = this.data[root][locale];
+                for (let basename in localeData) {
+                    if (typeof(localeData[basename]) !== 'undefined') {
+                        items.push({
+                            root,
+                            locale,
+                            basename,
+                            data: localeData[basename]
+                        });
+                    }
+                }
+            }
+        }
+        return items[Symbol.iterator]();
+    }
+
+    /**
+     * Iterate over all of the items in the cache. (See the `entries` method.)
+     *
+     * @returns {Iterator.<Object>} an iterator over the cached items
+     */
+    [Symbol.iterator]() {
+        return this.entries();
+    }
+
+    /**
+     * Set the limits on how much data this cache may hold. If the cache
+     * currently holds more than the new limits allow, the least recently
+     * used locales are evicted right away.
+     *
+     * @param {Object} options the limits to set. This may contain the
+     * properties `maxEntries` and `maxBytes`, as documented in the
+     * constructor. Give 0 to remove a limit.
+     */
+    setLimits(options) {
+        const { maxEntries, maxBytes } = options || {};
+        if (typeof(maxEntries) === 'number' && maxEntries >= 0) {
+            this.maxEntries = maxEntries;
+        }
+        if (typeof(maxBytes) === 'number' && maxBytes >= 0) {
+            this.maxBytes = maxBytes;
+            if (maxBytes > 0) {
+                this.measure();
+            }
+        }
+        this.evict();
+    }
+
+    /**
+     * Return the approximate number of bytes of memory occupied by the
+     * data in this cache. Data that was stored while there was no byte
+     * limit is measured the first time this is called.
+     * @returns {number} the approximate size of the data in bytes
+     */
+    byteSize() {
+        this.measure();
+        return this.bytes;
+    }
+
+    /**
+     * Measure the size of all the data that was stored while there was
+     * no byte limit to enforce.
+     * @private
+     */
+    measure() {
+        if (this.measured) return;
+        for (let entry of this.lru.values()) {
+            const localeData = this.data[entry.root] && this.data[entry.root][entry.localeSpec];
+            for (let basename in localeData) {
+                if (typeof(localeData[basename]) !== 'undefined' && typeof(entry.sizes[basename]) === 'undefined') {
+                    const bytes = getByteSize(localeData[basename]);
+                    this.bytes += bytes;
+                    entry.bytes += bytes;
+                    entry.sizes[basename] = bytes;
+                }
+            }
+        }
+        this.measured = true;
+    }
+
+    /**
+     * Mark the given locale entry as the most recently used one and return
+     * its bookkeeping record.
+     * @private
+     */
+    touch(root, localeSpec) {
+        const key = getEntryKey(root, localeSpec);
+        let entry = this.lru.get(key);
+        if (entry) {
+            this.lru.delete(key);
+        } else {
+            entry = {
+                root,
+                localeSpec,
+                bytes: 0,
+                sizes: {},
+                paths: {},
+                files: new Set()
+            };
+        }
+        this.lru.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Return true if this cache holds more than its limits allow.
+     * @private
+     */
+    isOverLimit() {
+        return (this.maxEntries > 0 && this.count > this.maxEntries) ||
+            (this.maxBytes > 0 && this.bytes > this.maxBytes);
+    }
+
+    /**
+     * Remove the data for a whole locale in the given root from the
+     * cache, along with the markers for the files that were loaded to
+     * get that data so that it can be loaded again later.
+     * @private
+     */
+    removeEntry(entry) {
+        const localeData = this.data[entry.root] && this.data[entry.root][entry.localeSpec];
+        if (localeData) {
+            for (let basename in localeData) {
+                if (typeof(localeData[basename]) !== 'undefined') {
+                    this.count--;
+                }
+                this.invalidateMergedData(getDependencyKey(entry.root, entry.localeSpec, basename));
+            }
+            delete this.data[entry.root][entry.localeSpec];
+        }
+        entry.files.forEach(fileName => this.loaded.delete(fileName));
+        this.bytes -= entry.bytes;
+        this.lru.delete(getEntryKey(entry.root, entry.localeSpec));
+        emitEvent("cacheClear", entry.root, entry.localeSpec);
+    }
+
+    /**
+     * Evict the least recently used locale entries until the cache is within
+     * its limits again. The given entry is the one currently being used, and
+     * it is never evicted.
+     * @private
+     */
+    evict(current) {
+        if (!this.isOverLimit()) return;
+        for (let entry of Array.from(this.lru.values())) {
+            if (!this.isOverLimit()) break;
+            if (entry !== current) {
+                this.logger.trace(`Evicting data for locale ${entry.localeSpec} in root ${entry.root} from the cache.`);
+                this.removeEntry(entry);
+            }
+        }
+    }
+
     /**
      * Clear all the data from this cache instance. This is mostly intended to be used by unit
      * testing.
@@ -196,17 +711,152 @@ class DataCache {
     clearData() {
         this.logger.trace(`The data cache has been cleared.`);
         this.count = 0;
+        this.bytes = 0;
+        this.measured = true;
         this.data = {};
         this.loaded.clear();
+        this.manifests = {};
+        this.lru.clear();
+        this.merged.clear();
+        this.dependents.clear();
+        this.stats = newStats();
+        emitEvent("cacheClear");
+    }
+
+    /**
+     * Remove some of the data from this cache instance, along with the records of
+     * the files that were loaded to get that data, so that the data is loaded again
+     * the next time it is needed. The criteria can contain any combination of the
+     * following properties:
+     *
+     * <ul>
+     * <li>root {string} - only remove data that was loaded from this root. If
+     * no other criteria are given, all data from the root is removed, as well as the
+     * root's manifest.
+     * <li>locale {Locale|string} - only remove data for this locale and for the
+     * more specific locales that fall back to it, such as "de-DE" and "de-AT" for
+     * the locale "de". The data for the other locales in its fallback chain, such
+     * as "root" and "de" for the locale "de-DE", is shared with other locales, so
+     * it is not removed.
+     * <li>exact {boolean} - when true, only remove the data for exactly the given
+     * locale and leave the data of the more specific locales in the cache
+     * <li>basename {string} - only remove data of this type
+     * </ul>
+     *
+     * If no criteria are given, nothing is removed. Use `clearData` to remove
+     * everything instead.
+     *
+     * @param {Object} criteria which data to remove, as detailed above
+     * @returns {number} the number of items that were removed from the cache
+     */
+    invalidate(criteria) {
+        const { root, locale, basename, exact } = criteria || {};
+        if (!root && !locale && !basename) return 0;
+
+        this.logger.trace(`Invalidating data for root ${root} locale ${locale} basename ${basename} in the cache.`);
+
+        const localeSpec = locale ?
+            getLocaleSpec(typeof(locale) === 'string' ? new Locale(locale) : locale) :
+            undefined;
+        const before = this.count;
+        const registry = FallbackRegistry.getFallbackRegistry();
+        const matches = (entry) => {
+            if (root && entry.root !== root) return false;
+            if (!localeSpec || entry.localeSpec === localeSpec) return true;
+            // more specific locales are built on top of the data of this one
+            return !exact && registry.getChain(entry.localeSpec).indexOf(localeSpec) > -1;
+        };
+
+        Array.from(this.lru.values()).forEach((entry) => {
+            if (!matches(entry)) {
+                return;
+            }
+            if (!basename) {
+                this.removeEntry(entry);
+                return;
+            }
+            const localeData = this.data[entry.root] && this.data[entry.root][entry.localeSpec];
+            if (localeData && typeof(localeData[basename]) !== 'undefined') {
+                this.storeData(entry.root, basename, new Locale(entry.localeSpec), undefined);
+                // a file for this locale may contain data for other basenames as
+                // well, so all of them need to be loaded again
+                entry.files.forEach(fileName => this.loaded.delete(fileName));
+                entry.files.clear();
+            }
+        });
+
+        if (root && !locale && !basename) {
+            delete this.data[root];
+            delete this.manifests[root];
+            // files marked as loaded without a locale
+            const prefix = Path.normalize(root) + "/";
+            Array.from(this.loaded).forEach((fileName) => {
+                if (fileName.startsWith(prefix)) {
+                    this.loaded.delete(fileName);
+                }
+            });
+        }
+
+        return before - this.count;
     }
 
     /**
-     * Record that the given file name has already been loaded.
+     * Record that the given file name has already been loaded. If the root and
+     * locale of the data in that file are given, the record is dropped again
+     * when the data for that locale is evicted from the cache, so that the file
+     * can be loaded again if needed.
+     *
      * @param {string} fileName the path to the file that has been loaded
+     * @param {string=} root the root from which the file was loaded
+     * @param {Locale=} locale the full or partial locale of the data in the file
      */
-    markFileAsLoaded(fileName) {
+    markFileAsLoaded(fileName, root, locale) {
         if (!fileName || typeof(fileName) !== "string") return;
         this.loaded.add(fileName);
+        if (root && typeof(root) === "string") {
+            this.touch(root, getLocaleSpec(locale)).files.add(fileName);
+        }
+    }
+
+    /**
+     * Forget that the given file name has already been loaded so that it will
+     * be loaded again the next time it is needed.
+     *
+     * @param {string} fileName the path to the file
+     */
+    unmarkFileAsLoaded(fileName) {
+        if (!fileName || typeof(fileName) !== "string") return;
+        this.loaded.delete(fileName);
+        this.lru.forEach(entry => entry.files.delete(fileName));
+    }
+
+    /**
+     * Store the manifest for the given root. The manifest is given as a set of
+     * paths relative to the root of all the files that exist in that root. The
+     * manifest may be given as null to indicate explicitly that the root does
+     * not have a manifest file.
+     *
+     * @param {string} root the root to which the manifest applies
+     * @param {Set.<string>|null} manifest the set of files in the root, or null if
+     * the root has no manifest
+     */
+    storeManifest(root, manifest) {
+        if (!root || typeof(root) !== "string") return;
+        this.logger.trace(`Storing the manifest for root ${root} in the cache.`);
+        this.manifests[root] = manifest;
+    }
+
+    /**
+     * Return the manifest for the given root.
+     *
+     * @param {string} root the root for which the manifest is being sought
+     * @returns {Set.<string>|null|undefined} the set of files listed in the manifest,
+     * or null to indicate that the root does not have a manifest, or undefined to
+     * indicate that the cache has no information about the manifest of that root yet
+     */
+    getManifest(root) {
+        if (!root || typeof(root) !== "string") return undefined;
+        return this.manifests[root];
     }
 
     /**
@@ -0,0 +1,167 @@
+/*
+ * EventHub.js - distribute events about the loading and caching of
+ * locale data to anyone who is interested
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import log4js from '@log4js-node/log4js-api';
+import { top } from 'ilib-env';
+
+/**
+ * @class A hub for the events about the loading and caching of locale data.
+ *
+ * The following events are emitted:
+ *
+ * <ul>
+ * <li>loadStart - LocaleData.loadData was called
+ * <li>fileLoaded - a locale data file was loaded
+ * <li>fileMissing - a locale data file was requested from the loader but
+ * it does not exist or is empty
+ * <li>parseError - a locale data or manifest file could not be parsed
+ * <li>cacheHit - locale data that was needed was found in the cache
+ * <li>cacheStore - locale data was stored in the cache
+ * <li>cacheClear - locale data was removed from the cache
+ * <li>validationError - loaded data does not match the validator registered
+ * for its basename
+ * <li>fileChanged - a file under a root watched by a RootWatcher changed
+ * </ul>
+ *
+ * Every event is given a single object with the properties "root", "path",
+ * "locale" and "basename" that describe what the event is about. The locale
+ * is given as a locale spec string. Properties that do not apply to an event
+ * are undefined. For example, when a whole locale is removed from the cache,
+ * the basename and the path are undefined. The parseError and validationError
+ * events also have an "error" property with the error that happened.<p>
+ *
+ * The hub is shared in the global scope by all instances of LocaleData, just
+ * like the data cache. Listeners are called synchronously. Exceptions thrown
+ * by listeners are logged and otherwise ignored so that they cannot break
+ * the loading of the data.
+ *
+ * @private
+ */
+class EventHub {
+    /**
+     * Create a new event hub.
+     * @constructor
+     */
+    constructor() {
+        this.logger = log4js.getLogger("ilib-localedata");
+        this.listeners = {};
+    }
+
+    /**
+     * Factory method to return the EventHub singleton.
+     * @returns {EventHub} the event hub
+     */
+    static getEventHub() {
+        const globalScope = top();
+
+        if (!globalScope.ilib) {
+            globalScope.ilib = {};
+        }
+
+        if (!globalScope.ilib.localeDataEvents) {
+            globalScope.ilib.localeDataEvents = new EventHub();
+        }
+
+        return globalScope.ilib.localeDataEvents;
+    }
+
+    /**
+     * Add a listener for the given event.
+     *
+     * @param {string} eventName the name of the event to listen for
+     * @param {Function} listener the function to call with the event
+     */
+    on(eventName, listener) {
+        if (!eventName || typeof(listener) !== 'function') return;
+        if (!this.listeners[eventName]) {
+            this.listeners[eventName] = [];
+        }
+        this.listeners[eventName].push(listener);
+    }
+
+    /**
+     * Add a listener for the given event that is removed again after it
+     * is called the first time.
+     *
+     * @param {string} eventName the name of the event to listen for
+     * @param {Function} listener the function to call with the event
+     */
+    once(eventName, listener) {
+        if (typeof(listener) !== 'function') return;
+        const wrapper = (info) => {
+            this.off(eventName, wrapper);
+            listener(info);
+        };
+        wrapper.listener = listener;
+        this.on(eventName, wrapper);
+    }
+
+    /**
+     * Remove a listener for the given event. If no listener is given, all of
+     * the listeners for the event are removed.
+     *
+     * @param {string} eventName the name of the event
+     * @param {Function=} listener the listener to remove
+     */
+    off(eventName, listener) {
+        const listeners = this.listeners[eventName];
+        if (!listeners) return;
+        if (!listener) {
+            delete this.listeners[eventName];
+            return;
+        }
+        const index = listeners.findIndex(l => l === listener || l.listener === listener);
+        if (index > -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Return true if there are any listeners for the given event. This
+     * can be used to avoid the work of assembling the information about
+     * an event that no one is listening for.
+     *
+     * @param {string} eventName the name of the event
+     * @returns {boolean} true if there are listeners for the event
+     */
+    hasListeners(eventName) {
+        return !!(this.listeners[eventName] && this.listeners[eventName].length);
+    }
+
+    /**
+     * Call all the listeners for the given event.
+     *
+     * @param {string} eventName the name of the event
+     * @param {Object} info the information about the event
+     */
+    emit(eventName, info) {
+        if (!this.hasListeners(eventName)) return;
+        // copy the list so that listeners can remove themselves while it is being called
+        this.listeners[eventName].slice(0).forEach((listener) => {
+            try {
+                listener(info);
+            } catch (e) {
+                this.logger.warn(`Listener for the ${eventName} event threw an exception: ${e}`);
+            }
+        });
+    }
+}
+
+export default EventHub;
@@ -0,0 +1,225 @@
+/*
+ * FallbackRegistry.js - keep track of the parent of each locale that does
+ * not simply fall back to a shorter version of itself
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Utils } from 'ilib-common';
+import { top } from 'ilib-env';
+import Locale from 'ilib-locale';
+
+import { splitExtensions } from './paths.js';
+
+/**
+ * The parents of locales from the CLDR parentLocales supplemental data,
+ * grouped by parent. Only the parents that are locales with a region are
+ * included. CLDR also makes some scripts, such as "zh-Hant", fall back
+ * directly to the root locale, but the ilib locale data relies on those
+ * falling back to their language instead, so those are left out.
+ * @private
+ */
+const cldrParents = {
+    "en-001": [
+        "en-150", "en-AG", "en-AI", "en-AU", "en-BB", "en-BM", "en-BS", "en-BW",
+        "en-BZ", "en-CC", "en-CK", "en-CM", "en-CX", "en-CY", "en-DG", "en-DM",
+        "en-ER", "en-FJ", "en-FK", "en-FM", "en-GB", "en-GD", "en-GG", "en-GH",
+        "en-GI", "en-GM", "en-GY", "en-HK", "en-IE", "en-IL", "en-IM", "en-IN",
+        "en-IO", "en-JE", "en-JM", "en-KE", "en-KI", "en-KN", "en-KY", "en-LC",
+        "en-LR", "en-LS", "en-MG", "en-MO", "en-MS", "en-MT", "en-MU", "en-MV",
+        "en-MW", "en-MY", "en-NA", "en-NF", "en-NG", "en-NR", "en-NU", "en-NZ",
+        "en-PG", "en-PK", "en-PN", "en-PW", "en-RW", "en-SB", "en-SC", "en-SD",
+        "en-SG", "en-SH", "en-SL", "en-SS", "en-SX", "en-SZ", "en-TC", "en-TK",
+        "en-TO", "en-TT", "en-TV", "en-TZ", "en-UG", "en-VC", "en-VG", "en-VU",
+        "en-WS", "en-ZA", "en-ZM", "en-ZW"
+    ],
+    "en-150": [
+        "en-AT", "en-BE", "en-CH", "en-DE", "en-DK", "en-FI", "en-NL", "en-SE",
+        "en-SI"
+    ],
+    "es-419": [
+        "es-AR", "es-BO", "es-BR", "es-BZ", "es-CL", "es-CO", "es-CR", "es-CU",
+        "es-DO", "es-EC", "es-GT", "es-HN", "es-MX", "es-NI", "es-PA", "es-PE",
+        "es-PR", "es-PY", "es-SV", "es-US", "es-UY", "es-VE"
+    ],
+    "pt-PT": [
+        "pt-AO", "pt-CH", "pt-CV", "pt-FR", "pt-GQ", "pt-GW", "pt-LU", "pt-MO",
+        "pt-MZ", "pt-ST", "pt-TL"
+    ],
+    "zh-Hant-HK": [
+        "zh-Hant-MO"
+    ]
+};
+
+/**
+ * @private
+ */
+function getDefaultParents() {
+    let parents = {};
+    for (let parent in cldrParents) {
+        cldrParents[parent].forEach((child) => {
+            parents[child] = parent;
+        });
+    }
+    return parents;
+}
+
+/**
+ * @private
+ */
+function isRegionOnly(spec) {
+    return spec.startsWith("und-");
+}
+
+/**
+ * @class A registry of the parents of locales that do not simply fall back
+ * to a shorter version of their own spec.
+ *
+ * Without this registry, the data for a locale is merged from the data for
+ * its sublocales as returned by `Utils.getSublocales`, so "pt-AO" falls back
+ * to "pt" and then to the root locale. With it, "pt-AO" can inherit from
+ * "pt-PT" first, and "es-MX" can go through "es-419". The registry is seeded
+ * with the parents from the CLDR parentLocales data.<p>
+ *
+ * The fallback chain of a locale with a registered parent is the chain of
+ * the parent, without the sublocales that only have a region such as "und-PT",
+ * followed by the sublocales of the locale itself that are not already in it.
+ * The region-only sublocales of the parent are left out because they contain
+ * data about the parent's region, such as its time zones, which does not
+ * apply to the child. For example, the chain of "pt-AO" is "root", "pt",
+ * "pt-PT", "und-AO" and then "pt-AO".<p>
+ *
+ * Locales with a Unicode "-u-" extension, such as "de-DE-u-co-phonebk", use
+ * the chain of their base locale "de-DE", followed by an overlay for each
+ * keyword of the extension in each of the sublocales of the chain other than
+ * the root, such as "de-u-co-phonebk", "und-DE-u-co-phonebk" and
+ * "de-DE-u-co-phonebk". The overlays come after the whole chain of the base
+ * locale so that the data for the keyword wins over the data for the locale
+ * without it.<p>
+ *
+ * The registry is shared in the global scope by all instances of LocaleData.
+ *
+ * @private
+ */
+class FallbackRegistry {
+    /**
+     * Create a new fallback registry.
+     * @constructor
+     */
+    constructor() {
+        this.parents = getDefaultParents();
+    }
+
+    /**
+     * Factory method to return the FallbackRegistry singleton.
+     * @returns {FallbackRegistry} the registry
+     */
+    static getFallbackRegistry() {
+        const globalScope = top();
+
+        if (!globalScope.ilib) {
+            globalScope.ilib = {};
+        }
+
+        if (!globalScope.ilib.localeFallbacks) {
+            globalScope.ilib.localeFallbacks = new FallbackRegistry();
+        }
+
+        return globalScope.ilib.localeFallbacks;
+    }
+
+    /**
+     * Set the parent of the given locale. If the parent is undefined, the
+     * locale goes back to falling back to its sublocales.
+     *
+     * @param {string} spec the spec of the locale
+     * @param {string|undefined} parent the spec of the parent of the locale
+     */
+    setParent(spec, parent) {
+        if (parent) {
+            this.parents[spec] = parent;
+        } else {
+            delete this.parents[spec];
+        }
+    }
+
+    /**
+     * Return the registered parent of the given locale.
+     *
+     * @param {string} spec the spec of the locale
+     * @returns {string|undefined} the spec of the parent, or undefined if
+     * the locale falls back to its sublocales
+     */
+    getParent(spec) {
+        return this.parents[spec];
+    }
+
+    /**
+     * Find the parent of the given locale. Locales that were expanded with
+     * their likely subtags, such as "es-Latn-MX", also use the parent of the
+     * locale without the script if they do not have a parent of their own.
+     * @private
+     */
+    findParent(spec) {
+        if (this.parents[spec]) return this.parents[spec];
+        const loc = new Locale(spec);
+        if (!loc.getScript()) return undefined;
+        return this.parents[new Locale(loc.getLanguage(), loc.getRegion(), loc.getVariant()).getSpec()];
+    }
+
+    /**
+     * Forget all of the parents that were set and go back to the parents from
+     * the CLDR data.
+     */
+    reset() {
+        this.parents = getDefaultParents();
+    }
+
+    /**
+     * Return the chain of locales that the data for the given locale falls
+     * back to, from the least specific to the most specific, ending with the
+     * locale itself, or with its last overlay if it has a "-u-" extension.
+     *
+     * @param {string} spec the spec of the locale
+     * @returns {Array.<string>} the specs of the locales in the chain
+     */
+    getChain(spec) {
+        const { base, keywords } = splitExtensions(spec);
+        const chain = this.getChainWithout(base, []);
+        const overlaid = chain.filter(sublocale => sublocale !== "root");
+        return keywords.reduce((result, keyword) => {
+            return result.concat(overlaid.map(sublocale => `${sublocale}-u-${keyword}`));
+        }, chain);
+    }
+
+    /**
+     * @private
+     */
+    getChainWithout(spec, visited) {
+        // getSublocales lists region-only locales such as "und-JP" twice
+        const sublocales = Utils.getSublocales(spec).filter((sublocale, i, all) => all.indexOf(sublocale) === i);
+        const parent = this.findParent(spec);
+        if (!parent || visited.indexOf(parent) > -1) {
+            // no parent or a loop in the parents
+            return sublocales;
+        }
+        const chain = this.getChainWithout(parent, visited.concat([spec])).
+            filter(sublocale => !isRegionOnly(sublocale));
+        return chain.concat(sublocales.filter(sublocale => chain.indexOf(sublocale) < 0));
+    }
+}
+
+export default FallbackRegistry;
@@ -0,0 +1,228 @@
+/*
+ * LocaleAssembler.js - assemble the split locale data files in a set of
+ * roots into one file per locale
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import log4js from '@log4js-node/log4js-api';
+import JSON5 from 'json5';
+
+import { LocaleDataOptionsError, LocaleDataParseError } from './errors.js';
+import FallbackRegistry from './FallbackRegistry.js';
+import { getSplitPath, isLocaleSpec, normalizeSpec } from './paths.js';
+
+/**
+ * @private
+ */
+const formats = {
+    "json": ".json",
+    "cjs": ".js",
+    "esm": ".js"
+};
+
+/**
+ * @class Assemble split locale data into one file per locale.
+ *
+ * The LocaleData class can load the data for a locale from files split into
+ * locale parts and basenames, such as "[root]/de/DE/numfmt.json", or from
+ * one assembled file per locale, such as "[root]/de-DE.js", which is loaded
+ * by `LocaleData.ensureLocale`. This class reads the split files and
+ * writes the assembled files.<p>
+ *
+ * The assembled file for a locale contains one property for each of the
+ * sublocales of that locale that would be searched when loading data for it,
+ * such as "root", "de", "und-DE" and "de-DE" for the locale "de-DE". Each of
+ * these contains one property for each basename that has data for that
+ * sublocale, which contains the data from the file of that basename.
+ * Sublocales without any data are given as empty objects unless the
+ * sparse option is true.<p>
+ *
+ * When there are multiple roots, the file for a sublocale and basename is
+ * taken from the first root in the list that has it, in the same way that
+ * `LocaleData.loadData` does by default.<p>
+ *
+ * This class only works on nodejs.
+ */
+class LocaleAssembler {
+    /**
+     * Create a new locale assembler.
+     *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>roots {Array.<string>} (required) - the paths to the roots that contain
+     * the split locale data, in order of precedence
+     * <li>locales {Array.<string>} (required) - the locales to assemble
+     * <li>basenames {Array.<string>} - only assemble the data for these basenames.
+     * Default: all basenames found in the roots
+     * <li>format {string} - the format of the assembled files. One of "json"
+     * for "[locale].json" files, or "cjs" or "esm" for "[locale].js" files
+     * containing a CommonJS or ES module that exports a function that returns
+     * the data. Default: "json"
+     * <li>outputDir {string} - the directory to write the assembled files to.
+     * Default: the current directory
+     * <li>sparse {boolean} - if true, sublocales without any data are left out
+     * of the assembled files instead of being given as empty objects.
+     * Default: false
+     * </ul>
+     *
+     * @param {Object} options options controlling the operation of this
+     * assembler, as detailed above
+     * @throws {LocaleDataOptionsError} if the options are not valid
+     * @constructor
+     */
+    constructor(options) {
+        const {
+            roots,
+            locales,
+            basenames,
+            format = "json",
+            outputDir = ".",
+            sparse = false
+        } = options || {};
+
+        if (!Array.isArray(roots) || !roots.length) {
+            throw new LocaleDataOptionsError("Missing roots option to LocaleAssembler constructor");
+        }
+        if (!Array.isArray(locales) || !locales.length) {
+            throw new LocaleDataOptionsError("Missing locales option to LocaleAssembler constructor");
+        }
+        if (!formats[format]) {
+            throw new LocaleDataOptionsError(`Invalid format option ${format} to LocaleAssembler constructor`);
+        }
+
+        this.roots = roots;
+        this.locales = locales;
+        this.basenames = Array.isArray(basenames) && basenames.length ? new Set(basenames) : undefined;
+        this.format = format;
+        this.outputDir = outputDir;
+        this.sparse = !!sparse;
+        this.logger = log4js.getLogger("ilib-localedata");
+    }
+
+    /**
+     * Read all of the split data files for the given sublocale in the given root.
+     * @private
+     */
+    readSublocale(root, spec) {
+        const dir = path.join(root, getSplitPath(spec, ""));
+        let result = {};
+        if (!fs.existsSync(dir)) return result;
+
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const match = /^(.*)\.json$/.exec(entry.name);
+            if (!entry.isFile() || !match) return;
+            const basename = match[1];
+            // the top of a root also contains the manifest and any assembled files
+            if (spec === "root" && (basename === "ilibmanifest" || basename === "package" || isLocaleSpec(basename))) {
+                return;
+            }
+            if (this.basenames && !this.basenames.has(basename)) return;
+
+            const fileName = path.join(dir, entry.name);
+            try {
+                result[basename] = JSON5.parse(fs.readFileSync(fileName, "utf-8"));
+            } catch (e) {
+                throw new LocaleDataParseError(`Could not parse locale data file ${fileName}: ${e.message}`, {
+                    path: fileName,
+                    root,
+                    line: e.lineNumber,
+                    column: e.columnNumber,
+                    cause: e
+                });
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Assemble the data for the given locale without writing it anywhere.
+     *
+     * @param {string} locale the spec of the locale to assemble
+     * @returns {Object} the assembled data, with the sublocales as the first
+     * level of properties and the basenames as the second
+     * @throws {LocaleDataParseError} if one of the files cannot be parsed
+     */
+    assemble(locale) {
+        let result = {};
+        FallbackRegistry.getFallbackRegistry().getChain(normalizeSpec(locale)).forEach((spec) => {
+            let sublocale = {};
+            // earlier roots take precedence, so go through them last
+            this.roots.slice(0).reverse().forEach((root) => {
+                Object.assign(sublocale, this.readSublocale(root, spec));
+            });
+            const basenames = Object.keys(sublocale).sort();
+            if (this.sparse && !basenames.length) return;
+            result[spec] = {};
+            basenames.forEach((basename) => {
+                result[spec][basename] = sublocale[basename];
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Convert the assembled data into the contents of a file in the format
+     * of this assembler.
+     *
+     * @param {Object} data the assembled data
+     * @returns {string} the contents of the file
+     */
+    serialize(data) {
+        const json = JSON.stringify(data, undefined, 4);
+        switch (this.format) {
+            case "cjs":
+                return `module.exports = function getLocaleData() {\n    return ${json.replace(/\n/g, "\n    ")};\n};\n`;
+            case "esm":
+                return `export default function getLocaleData() {\n    return ${json.replace(/\n/g, "\n    ")};\n};\n`;
+            default:
+                return json + "\n";
+        }
+    }
+
+    /**
+     * Return the path to the assembled file for the given locale.
+     *
+     * @param {string} locale the spec of the locale
+     * @returns {string} the path to the assembled file in the output directory
+     */
+    getOutputPath(locale) {
+        return path.join(this.outputDir, normalizeSpec(locale) + formats[this.format]);
+    }
+
+    /**
+     * Assemble the data for all of the locales and write the files to the
+     * output directory.
+     *
+     * @returns {Array.<string>} the paths to the files that were written
+     * @throws {LocaleDataParseError} if one of the files cannot be parsed
+     */
+    write() {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        return this.locales.map((locale) => {
+            const fileName = this.getOutputPath(locale);
+            fs.writeFileSync(fileName, this.serialize(this.assemble(locale)), "utf-8");
+            this.logger.info(`Wrote ${fileName}`);
+            return fileName;
+        });
+    }
+}
+
+export default LocaleAssembler;
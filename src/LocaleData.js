@@ -23,11 +23,22 @@ import JSON5 from 'json5';
 
 import { getPlatform, getLocale, top } from 'ilib-env';
 import LoaderFactory from 'ilib-loader';
-import { Utils, JSUtils, Path } from 'ilib-common';
+import { JSUtils, Path } from 'ilib-common';
 import Locale from 'ilib-locale';
 import LocaleMatcher from 'ilib-localematcher';
 
 import DataCache from './DataCache.js';
+import EventHub from './EventHub.js';
+import FallbackRegistry from './FallbackRegistry.js';
+import validateSchema from './SchemaValidator.js';
+import { copyData, deepFreeze } from './immutable.js';
+import { getSplitPath, parseDataPath, splitExtensions } from './paths.js';
+import {
+    LocaleDataOptionsError,
+    LocaleDataParseError,
+    LocaleDataValidationError,
+    SyncLoadUnavailableError
+} from './errors.js';
 
 /**
  * @private
@@ -72,6 +83,467 @@ function parseData(data, pathName) {
     return localeData;
 }
 
+/**
+ * Emit an event about the given file on the event hub.
+ * @private
+ */
+function emitEvent(eventName, root, pathName, locale, basename, error) {
+    let info = {
+        root,
+        path: pathName,
+        locale: locale ? locale.getSpec() : undefined,
+        basename
+    };
+    if (error) {
+        info.error = error;
+    }
+    EventHub.getEventHub().emit(eventName, info);
+}
+
+/**
+ * Expand the given locale with its likely subtags, such as "zh-TW" to
+ * "zh-Hant-TW". The variants and extensions of the locale are kept.
+ * @private
+ */
+function getLikelyLocale(loc) {
+    if (loc.getSpec() === "root") return loc;
+    const lm = new LocaleMatcher({
+        locale: loc.getSpec(),
+        sync: true
+    });
+    const likely = new Locale(lm.getLikelyLocale());
+    return new Locale(likely.getLanguage(), likely.getRegion(), loc.getVariant(), likely.getScript());
+}
+
+/**
+ * Wrap the error thrown by the parser in a parse error that says where
+ * the problem is. JSON5 gives the line and column of syntax errors.
+ * @private
+ */
+function getParseError(description, pathName, root, e) {
+    const line = (e && typeof(e.lineNumber) === 'number') ? e.lineNumber : undefined;
+    const column = (e && typeof(e.columnNumber) === 'number') ? e.columnNumber : undefined;
+    const location = line ? `${pathName}:${line}:${column}` : pathName;
+    return new LocaleDataParseError(`Could not parse ${description} ${location}: ${(e && e.message) || e}`, {
+        path: pathName,
+        root,
+        line,
+        column,
+        cause: e
+    });
+}
+
+/**
+ * Parse the data of a file that was loaded, and let the listeners know
+ * if it could not be parsed. In strict mode, the parse error is thrown. Otherwise,
+ * it is logged and the file is treated as if it did not exist.
+ * @private
+ */
+function parseFile(data, pathName, root, locale, basename, strict) {
+    try {
+        return parseData(data, pathName);
+    } catch (e) {
+        const error = getParseError("locale data file", pathName, root, e);
+        emitEvent("parseError", root, pathName, locale, basename, error);
+        if (strict) {
+            throw error;
+        }
+        log4js.getLogger("ilib-localedata").warn(`${error.message}. Ignoring this file.`);
+        return null;
+    }
+}
+
+/**
+ * Parse and store the data for each of the files that were just loaded.
+ * A file name in the fileNames array is undefined if that file did not
+ * need to be loaded.
+ * @private
+ */
+function receiveFiles(files, fileNames, data, basename, cache, strict) {
+    data.forEach((datum, i) => {
+        if (!files[i].data) {
+            if (fileNames[i]) {
+                emitEvent(datum ? "fileLoaded" : "fileMissing", files[i].root, fileNames[i], files[i].locale, basename);
+            }
+            // null indicates we attempted to load the file, but
+            // there was no data or the file did not exist
+            const parsed = datum ?
+                parseFile(datum, fileNames[i], files[i].root, files[i].locale, basename, strict) :
+                null;
+            // the cache is shared with instances that parse in strict mode, so
+            // a file that could not be parsed is not recorded there. Otherwise,
+            // those instances would merge the data without it instead of failing.
+            if (cache && !(datum && !parsed)) {
+                // record that we already attempted to load this
+                cache.markFileAsLoaded(fileNames[i], files[i].root, files[i].locale);
+                cache.storeData(files[i].root, basename, files[i].locale, parsed, fileNames[i]);
+            }
+            files[i].data = parsed;
+            if (!fileNames[i]) {
+                // an earlier attempt to load this file found nothing
+                files[i].status = "knownMissing";
+            } else {
+                files[i].status = !datum ? "fileMissing" : (parsed ? "fileLoaded" : "parseError");
+            }
+        }
+    });
+}
+
+/**
+ * Store the data for each sublocale and basename in the given assembled data
+ * in the cache, along with the path to the file it was loaded from, if any.
+ * @private
+ */
+function storeAssembledData(data, root, pathName) {
+    if (typeof(data) !== 'object') {
+        return;
+    }
+    const cache = DataCache.getDataCache();
+
+    for (let locale in data) {
+        const localeData = data[locale];
+        for (let basename in localeData) {
+            const any = localeData[basename];
+            cache.storeData(root, basename, new Locale(locale), any, pathName);
+        }
+    }
+}
+
+/**
+ * Load and parse the assembled locale data files for each of the sublocales
+ * in the fallback chain of the given locale in each of the given roots
+ * without storing anything in the cache. This does for instances that do not
+ * use the cache what `ensureLocale` does for the others. The result maps each
+ * root to the sublocales found in it, and each of those to the data for
+ * each of its basenames along with the path of the file it came from. The
+ * data for each basename is checked with the given validate function.
+ * @private
+ */
+function loadAssembledFiles(loader, roots, manifests, loc, strict, validate) {
+    let files = [];
+    FallbackRegistry.getFallbackRegistry().getChain(loc.getSpec()).forEach((spec) => {
+        roots.forEach((root) => {
+            // the json file comes after the js file so that its data wins,
+            // in the same way as in ensureLocale
+            [".js", ".json"].forEach((extension) => {
+                if (isInManifest(manifests, root, spec + extension)) {
+                    files.push({
+                        path: Path.join(root, spec + extension),
+                        locale: new Locale(spec),
+                        root
+                    });
+                }
+            });
+        });
+    });
+
+    return loader.loadFiles(files.map(file => file.path), {sync: false}).then((data) => {
+        let assembled = {};
+        data.forEach((datum, i) => {
+            const { path, locale, root } = files[i];
+            emitEvent(datum ? "fileLoaded" : "fileMissing", root, path, locale);
+            const localeData = datum && parseFile(datum, path, root, locale, undefined, strict);
+            if (!localeData || typeof(localeData) !== 'object') return;
+            validateAssembledData(localeData, root, path, validate);
+            if (!assembled[root]) assembled[root] = {};
+            for (let sublocale in localeData) {
+                const spec = new Locale(sublocale).getSpec();
+                if (!assembled[root][spec]) assembled[root][spec] = {};
+                for (let basename in localeData[sublocale]) {
+                    assembled[root][spec][basename] = {
+                        data: localeData[sublocale][basename],
+                        path
+                    };
+                }
+            }
+        });
+        return assembled;
+    });
+}
+
+/**
+ * Load the assembled locale data files for the given locale and the locales
+ * in its fallback chain from the given roots into the cache, as described in
+ * `LocaleData.ensureLocale`. If a validate function is given, the data for
+ * each sublocale and basename in each of the files is checked with it.
+ * @private
+ */
+function loadLocaleFiles(loc, roots, strict, validate) {
+    const spec = loc.getSpec();
+    const loader = LoaderFactory();
+    const cache = DataCache.getDataCache();
+    const subLocales = FallbackRegistry.getFallbackRegistry().getChain(spec);
+    let files = [];
+
+    return loadManifests(loader, cache, roots, false).then((manifests) => {
+        subLocales.forEach((spec) => {
+            roots.forEach((root) => {
+                // check if the data is already available in the cache
+                const data = cache.getData(root, undefined, new Locale(spec));
+                if (data || isInManifest(manifests, root, `${spec}.js`)) {
+                    let ret = {
+                        path: Path.join(root, `${spec}.js`),
+                        locale: new Locale(spec),
+                        root
+                    };
+                    if (data) {
+                        emitEvent("cacheHit", root, ret.path, ret.locale);
+                        ret.data = data;
+                    }
+                    files.push(ret);
+                }
+
+                // only need to check the cache for the js files otherwise
+                // we have the same data twice in the array
+                if (isInManifest(manifests, root, `${spec}.json`)) {
+                    files.push({
+                        path: Path.join(root, `${spec}.json`),
+                        locale: new Locale(spec),
+                        root
+                    });
+                }
+            });
+        });
+
+        const count = files.filter(file => !file.data).length;
+        if (count) {
+            const fileNames = files.map(file =>
+                (file.data || cache.isLoaded(file.path)) ? undefined : file.path
+            );
+            if (!fileNames.some(fileName => fileName)) {
+                // every file was loaded before, so there is nothing new to load
+                return false;
+            }
+            cache.recordLoaderCall();
+            return loader.loadFiles(fileNames).then(data => {
+                return data.reduce((previous, datum, i) => {
+                    if (fileNames[i]) {
+                        emitEvent(datum ? "fileLoaded" : "fileMissing", files[i].root, fileNames[i], files[i].locale);
+                    }
+                    if (!datum) {
+                        cache.markFileAsLoaded(files[i].path, files[i].root, files[i].locale);
+                        return previous;
+                    }
+                    if (!files[i].data) {
+                        // null indicates we attempted to load the file, but
+                        // there was no data or the file did not exist
+                        let localeData = parseFile(datum, files[i].path, files[i].root, files[i].locale,
+                            undefined, strict);
+                        if (localeData) {
+                            cache.markFileAsLoaded(files[i].path, files[i].root, files[i].locale);
+                            storeAssembledData(localeData, files[i].root, files[i].path);
+                            // if any of the sublocales in this file is evicted from the
+                            // cache, the whole file needs to be loaded again
+                            for (let sublocale in localeData) {
+                                cache.markFileAsLoaded(files[i].path, files[i].root, new Locale(sublocale));
+                            }
+                            files[i].data = localeData;
+                            if (validate) {
+                                validateAssembledData(localeData, files[i].root, files[i].path, validate);
+                            }
+                            return true;
+                        }
+                    }
+                    return previous;
+                }, false);
+            });
+        } else {
+            return true;
+        }
+    });
+}
+
+/**
+ * Check the data for each of the sublocales and basenames in the given
+ * assembled data with the given validate function.
+ * @private
+ */
+function validateAssembledData(data, root, pathName, validate) {
+    for (let sublocale in data) {
+        for (let basename in data[sublocale]) {
+            validate(data[sublocale][basename], {
+                path: pathName,
+                root,
+                locale: new Locale(sublocale).getSpec(),
+                basename,
+                partial: true
+            });
+        }
+    }
+}
+
+/**
+ * Return true if the given value is an object whose properties are merged
+ * with the properties of the same object in other files, as opposed to a
+ * value that replaces the value in other files.
+ * @private
+ */
+function isMergeable(value) {
+    return !!value && typeof(value) === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Record the given source for each of the key paths of the given data,
+ * replacing the sources of the values that the data replaces in the merge.
+ * @private
+ */
+function recordSources(sources, data, source, prefix) {
+    for (let key in data) {
+        const keyPath = prefix ? `${prefix}.${key}` : key;
+        const value = data[key];
+        if (isMergeable(value)) {
+            // an object replaces a value that was not an object
+            delete sources[keyPath];
+            recordSources(sources, value, source, keyPath);
+        } else {
+            Object.keys(sources).forEach((other) => {
+                if (other.startsWith(keyPath + ".")) {
+                    delete sources[other];
+                }
+            });
+            sources[keyPath] = source;
+        }
+    }
+}
+
+/**
+ * Return a map from the key path of each value in the merged data of the
+ * given files to the file that supplied that value.
+ * @private
+ */
+function getSources(files) {
+    let sources = {};
+    files.forEach((file) => {
+        recordSources(sources, file.data, {
+            root: file.root,
+            path: ("source" in file) ? file.source : file.name,
+            locale: file.locale.getSpec()
+        });
+    });
+    return sources;
+}
+
+/**
+ * Convert the result of a validator function into a list of problems.
+ * @private
+ */
+function getProblems(result) {
+    if (typeof(result) === 'undefined' || result === true) return [];
+    if (result === false) return ["the data is not valid"];
+    if (typeof(result) === 'string') return [result];
+    return Array.isArray(result) ? result : [];
+}
+
+/**
+ * @private
+ */
+function getManifestPath(root) {
+    return Path.join(root, "ilibmanifest.json");
+}
+
+/**
+ * Convert the contents of a manifest file into a set of paths relative
+ * to the root.
+ * @private
+ */
+function parseManifest(data, pathName, root) {
+    try {
+        const manifest = parseData(data, pathName);
+        if (manifest && Array.isArray(manifest.files)) {
+            return new Set(manifest.files.map(file => Path.normalize(file)));
+        }
+    } catch (e) {
+        // a broken manifest is not fatal because we can still look for the files
+        const error = getParseError("manifest file", pathName, root, e);
+        log4js.getLogger("ilib-localedata").warn(error.message);
+        emitEvent("parseError", root, pathName, undefined, undefined, error);
+    }
+    return null;
+}
+
+/**
+ * Load the manifest files of the given roots. If a cache is given, the
+ * manifests are taken from the cache when they are already there, and are
+ * stored in it otherwise. Roots that do not have a manifest are recorded as
+ * such so that each manifest is only ever loaded once.
+ * @private
+ */
+function loadManifests(loader, cache, roots, sync) {
+    let manifests = {};
+    const fileNames = roots.map(root => {
+        const manifest = cache ? cache.getManifest(root) : undefined;
+        if (typeof(manifest) !== 'undefined') {
+            manifests[root] = manifest;
+            return undefined;
+        }
+        return getManifestPath(root);
+    });
+    const storeManifests = (data) => {
+        data.forEach((datum, i) => {
+            if (fileNames[i]) {
+                manifests[roots[i]] = datum ? parseManifest(datum, fileNames[i], roots[i]) : null;
+                if (cache) {
+                    cache.storeManifest(roots[i], manifests[roots[i]]);
+                }
+            }
+        });
+        return manifests;
+    };
+
+    if (!fileNames.some(fileName => fileName)) {
+        return sync ? manifests : Promise.resolve(manifests);
+    }
+    if (sync && !loader.supportsSync()) {
+        // without synchronous loading, we simply don't know what is in the
+        // manifests yet, so everything is a candidate for loading
+        return manifests;
+    }
+    if (cache) {
+        cache.recordLoaderCall();
+    }
+    return sync ?
+        storeManifests(loader.loadFiles(fileNames, {sync})) :
+        loader.loadFiles(fileNames, {sync}).then(storeManifests);
+}
+
+/**
+ * Return the paths relative to the given root of all of the locale data files
+ * in it. The manifest is used if the root has one. Otherwise, the directories
+ * of the root are scanned on nodejs. On other platforms, there is no way to
+ * find out what files there are without a manifest.
+ * @private
+ */
+function listRootFiles(root, manifest) {
+    if (manifest) {
+        return Promise.resolve(Array.from(manifest));
+    }
+    if (getPlatform() !== "nodejs") {
+        log4js.getLogger("ilib-localedata").warn(`Root ${root} has no manifest, so its locales cannot be listed.`);
+        return Promise.resolve([]);
+    }
+    // only load the node-only generator when it is needed so that
+    // it does not end up in the bundles for browsers
+    return import(/* webpackIgnore: true */ "./ManifestGenerator.js").then((module) => {
+        const ManifestGenerator = module["default"];
+        // the first manifest is for the root itself rather than its nested subroots
+        return new ManifestGenerator({ root }).generate()[0].manifest.files;
+    }).catch((e) => {
+        log4js.getLogger("ilib-localedata").trace(e);
+        return [];
+    });
+}
+
+/**
+ * Return true if the file with the given path relative to the root
+ * could exist in that root according to the root's manifest. If the
+ * root has no manifest, any file could exist.
+ * @private
+ */
+function isInManifest(manifests, root, relativePath) {
+    const manifest = manifests[root];
+    return !manifest || manifest.has(relativePath);
+}
+
 /**
  * @class A locale data instance.
  *
@@ -149,6 +621,24 @@ function parseData(data, pathName) {
  * data instance can avoid checking multiple directories/files inside that
  * root for the existance of that data, and skip directly on to the next root.<p>
  *
+ * The manifest file contains a single property "files" which is an array of
+ * the paths to all of the locale data files in that root, relative to the
+ * root itself:
+ *
+ * <pre>
+ * {
+ *     "files": [
+ *         "numfmt.json",
+ *         "it/numfmt.json",
+ *         "it/CH/numfmt.json",
+ *         "de-DE.js"
+ *     ]
+ * }
+ * </pre>
+ *
+ * If a root does not contain a manifest file, all of the possible files in that
+ * root are candidates for loading.<p>
+ *
  * <h2>Locale Data Files</h2>
  *
  * The locale data loader will look in each root for data about a particular
@@ -283,28 +773,72 @@ class LocaleData {
      * data cache or it should load the data each time. Specifying `false` for this option
      * will slow down constructors as it loads the same files again and again but it reduces
      * the memory footprint which may be more important than speed for small low-memory
-     * devices. Default value: true
+     * devices. When the cache is not used, data that is already in the cache is ignored
+     * as well, and synchronous loading is only possible if the loader supports it.
+     * Assembled locale data files are still read when loading asynchronously.
+     * Default value: true
+     * <li>parseMode {string} - what to do when a locale data file cannot be parsed.
+     * In "strict" mode, loading fails with a LocaleDataParseError that gives the path,
+     * root, line and column of the problem. In "lenient" mode, the problem is logged
+     * and the file is treated as if it did not exist, so that the data from other roots
+     * and sublocales is still merged together. Either way, a "parseError" event is
+     * emitted. Files that cannot be parsed are not cached, so they are loaded again
+     * every time they are needed and still fail for instances in "strict" mode
+     * that share the same roots. Default value: "strict"
+     * <li>validation {string} - what to do when loaded data does not match the validator
+     * registered for its basename with `registerValidator`. When "warn", a warning that
+     * names the file is logged. When "error", loading fails with a LocaleDataValidationError.
+     * Either way, a "validationError" event is emitted. Default value: "warn"
+     * <li>likely {boolean} - whether to expand the requested locale with its likely
+     * subtags before loading its data in `loadData`. For example, data for "zh-TW" is
+     * then loaded for "zh-Hant-TW", which also includes the data for "zh-Hant". This
+     * gives the same data in synchronous and asynchronous mode. Default value: false
+     * <li>immutable {boolean} - whether the data returned by `loadData` is deep-frozen.
+     * The data in the cache is shared by all packages and instances of LocaleData, and
+     * the data returned by `loadData` may be the very objects in the cache, so the data
+     * is frozen to make sure that no caller can change it for all of the others. Trying
+     * to change it throws a TypeError in strict mode code, such as in ES modules. When
+     * false, `loadData` returns a copy of the data that the caller may change instead,
+     * which is slower. The data in the cache is frozen either way. Default value: true
      * </ul>
      *
      * @param {string} packageName the unique name of the calling package. (eg. "LocaleInfo")
      * @param {Object} options options controlling the operation of this locale data
      * instance, as detailed above
+     * @throws {LocaleDataOptionsError} if the options or the path are missing
      * @constructor
      */
     constructor(options) {
         if (!options || !options.path) {
-            throw "Missing options to LocaleData constructor";
+            throw new LocaleDataOptionsError("Missing options to LocaleData constructor");
         }
         let {
             sync = false,
+            useCache = true,
+            parseMode = "strict",
+            validation = "warn",
+            likely = false,
+            immutable = true,
             path
         } = options;
+        if (parseMode !== "strict" && parseMode !== "lenient") {
+            throw new LocaleDataOptionsError(`Invalid parseMode option ${parseMode} to LocaleData constructor`);
+        }
+        if (validation !== "warn" && validation !== "error") {
+            throw new LocaleDataOptionsError(`Invalid validation option ${validation} to LocaleData constructor`);
+        }
 
         this.loader = LoaderFactory();
         this.sync = typeof(sync) === "boolean" && sync && (!this.loader || this.loader.supportsSync());
+        this.useCache = typeof(useCache) !== "boolean" || useCache;
         this.cache = DataCache.getDataCache();
         this.logger = log4js.getLogger("ilib-localedata");
         this.path = path;
+        this.parseMode = parseMode;
+        this.validation = validation;
+        this.likely = !!likely;
+        this.immutable = typeof(immutable) !== "boolean" || immutable;
+        this.validators = {};
     }
 
     /**
@@ -329,23 +863,143 @@ class LocaleData {
     }
 
     /**
+     * Register a JSON Schema or a validator function for the data with the
+     * given basename. After it is registered, the data in each file of that
+     * basename that this instance loads is checked against it, as well as the
+     * result of merging those files together that `loadData` returns. When
+     * the data does not match, a "validationError" event is emitted, and then
+     * a warning that names the file is logged or a LocaleDataValidationError
+     * is thrown, depending on the "validation" option to the constructor.<p>
+     *
+     * Schemas may use a subset of JSON Schema: the keywords "type", "enum",
+     * "const", "properties", "patternProperties", "additionalProperties",
+     * "required", "items", "minItems", "maxItems", "minLength", "maxLength",
+     * "pattern", "minimum", "maximum", "allOf" and "anyOf". Use
+     * `"additionalProperties": false` to catch misspelled property names.
+     * Each file usually contains only part of the data, so required
+     * properties are only checked in the merged result.<p>
+     *
+     * A validator function is called with the data and an object with the
+     * properties "path", "root", "locale", "basename" and "partial" that
+     * describe where the data came from. The path is undefined and partial is
+     * false when checking the merged result. The function should return true or
+     * undefined if the data is valid, or else false, a string, or an array of
+     * strings describing the problems.<p>
+     *
+     * Data that was already in the cache before the validator was registered is
+     * not checked again, except as part of the merged result.
+     *
+     * @param {string} basename the basename of the data to check
+     * @param {Object|Function|undefined} validator a JSON Schema or a validator
+     * function, or undefined to remove the validator for that basename
+     * @throws {LocaleDataOptionsError} if the parameters are not valid
+     */
+    registerValidator(basename, validator) {
+        if (!basename || typeof(basename) !== 'string' ||
+                (validator && typeof(validator) !== 'function' && typeof(validator) !== 'object')) {
+            throw new LocaleDataOptionsError("Invalid parameters to registerValidator");
+        }
+        if (!validator) {
+            delete this.validators[basename];
+            return;
+        }
+        this.validators[basename] = (typeof(validator) === 'function') ?
+            (data, context) => getProblems(validator(data, context)) :
+            (data, context) => validateSchema(validator, data, { partial: context.partial });
+    }
+
+    /**
+     * Check the given data against the validator for its basename.
+     * @private
+     */
+    validateData(data, context) {
+        const validator = this.validators[context.basename];
+        if (!validator || !data) return;
+
+        const problems = validator(data, context);
+        if (!problems.length) return;
+
+        const where = context.path ?
+            `File ${context.path}` :
+            `The merged data for locale ${context.locale}`;
+        const error = new LocaleDataValidationError(
+            `${where} does not match the schema for ${context.basename}: ${problems.join("; ")}`, {
+                path: context.path,
+                root: context.root,
+                locale: context.locale,
+                basename: context.basename,
+                problems
+            }
+        );
+        EventHub.getEventHub().emit("validationError", {
+            root: context.root,
+            path: context.path,
+            locale: context.locale,
+            basename: context.basename,
+            error
+        });
+        if (this.validation === "error") {
+            throw error;
+        }
+        this.logger.warn(error.message);
+    }
+
+    /**
+     * Check each of the files that were just loaded.
      * @private
      */
-    getFilesArray(basename, loc, roots) {
+    validateFiles(files, fileNames, basename) {
+        if (!this.validators[basename]) return;
+        files.forEach((file, i) => {
+            if (fileNames[i]) {
+                this.validateData(file.data, {
+                    path: fileNames[i],
+                    root: file.root,
+                    locale: file.locale.getSpec(),
+                    basename,
+                    partial: true
+                });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    getFilesArray(basename, loc, roots, manifests, trace) {
         const fileName = basename + ".json";
         let returnArray = [];
-        Utils.getSublocales(loc.getSpec()).forEach((spec) => {
+        FallbackRegistry.getFallbackRegistry().getChain(loc.getSpec()).forEach((spec) => {
             roots.forEach((root) => {
                 const loc = new Locale(spec);
-                const pathName = Path.join(root, (spec === "root") ? fileName : Path.join(spec.replace(/-/g, "/"), fileName));
+                const relativePath = getSplitPath(spec, fileName);
+                const pathName = Path.join(root, relativePath);
                 const entry = {
                     name: pathName,
                     locale: loc,
                     root
                 };
-                const data = this.cache.getData(root, basename, loc);
+                const data = this.useCache ? this.cache.getData(root, basename, loc) : undefined;
                 if (data) {
+                    emitEvent("cacheHit", root, pathName, loc, basename);
                     entry.data = data;
+                    entry.status = "cacheHit";
+                    // the data may have come from an assembled file or from cacheData
+                    entry.source = this.cache.getPath(root, basename, loc);
+                } else if (!isInManifest(manifests, root, relativePath)) {
+                    // the manifest says the file does not exist, so don't bother
+                    // trying to load it, and remember that there is no data
+                    if (this.useCache && typeof(data) === 'undefined') {
+                        this.cache.storeData(root, basename, loc, null, pathName);
+                    }
+                    if (trace) {
+                        entry.status = "notInManifest";
+                        trace.files.push(entry);
+                    }
+                    return;
+                }
+                if (trace) {
+                    trace.files.push(entry);
                 }
                 returnArray.push(entry);
             });
@@ -369,6 +1023,7 @@ class LocaleData {
      * <li><i>replace</i> - boolean. When merging json objects, this parameter controls whether to merge arrays
      * or have arrays replace each other. If true, arrays in child objects replace the arrays in parent
      * objects. When false, the arrays in child objects are concatenated with the arrays in parent objects.
+     * This applies whether or not the data is merged across roots. Default is "false".
      * <li><i>returnOne</i> - return only the first file found. Do not merge many locale data files into one.
      * Default is "false".
      * <li><i>sync</i> - boolean. Whether or not to load the data synchronously
@@ -379,21 +1034,173 @@ class LocaleData {
      * <li><i>crossRoots</i> - boolean. When true, merge the locale data across the various roots. When false,
      * only the first data found for a locale is found, and the data for the same locale in other roots is
      * ignored. Default is "false" if not specified.
+     * <li><i>likely</i> - boolean. When true, the locale is expanded with its likely subtags
+     * before the list of files to load is built. Default is the value of the "likely" option
+     * to the constructor.
+     * <li><i>withSources</i> - boolean. When true, the result is an object with the property
+     * "data" containing the requested data and the property "sources" telling where each
+     * value in it came from. The sources are a map from the path of each key in the data,
+     * with the keys separated by dots such as "a.b.c", to an object with the properties
+     * "root", "path" and "locale". These give the root and the path of the file that won
+     * the merge for that value, and the spec of the sublocale it is for. The path is
+     * undefined if the data was given to `cacheData` rather than loaded from a file.
+     * Arrays are treated as single values, so their source is the last file that added
+     * to them. Default is "false".
      * </ul>
      *
      * @param {Object} params Parameters configuring how to load the files (see above)
      * @returns {Promise|Object} the requested data or a promise to load the requested data
+     * @throws {SyncLoadUnavailableError} if synchronous loading was requested but the
+     * loader does not support it and the data is not already in the cache
+     * @throws {LocaleDataParseError} if a file was loaded synchronously but could not be parsed
+     * in strict mode
      * @fulfil {Object} the locale data
-     * @reject {Error} if the data could not be loaded
+     * @reject {LocaleDataParseError} if a file was loaded but could not be parsed in strict mode
      */
     loadData(params) {
+        const { sync = this.sync, basename } = params || {};
+        const results = this.lookUpData(params, [basename]);
+        return sync ? results[0] : results.then(data => data[0]);
+    }
+
+    /**
+     * Load the data for several basenames for the same locale at once. This is
+     * the same as calling `loadData` for each of the basenames with the same
+     * parameters, but the files for all of them are loaded with one call to the
+     * loader, and the assembled file for the locale is only looked for once.
+     * This is useful for classes that need several types of data, such as a
+     * date formatter that needs "sysres", "dateformats" and "localeinfo".<p>
+     *
+     * The parameters are the same as for `loadData`, except that they contain
+     * the property <i>basenames</i> with an array of basenames instead of the
+     * property <i>basename</i>.
+     *
+     * @param {Object} params Parameters configuring how to load the files (see above)
+     * @returns {Promise|Object} an object that maps each basename to its data, or
+     * a promise to load it
+     * @throws {LocaleDataOptionsError} if the basenames are missing or not valid
+     * @throws {SyncLoadUnavailableError} if synchronous loading was requested but the
+     * loader does not support it and the data is not already in the cache
+     * @throws {LocaleDataParseError} if a file was loaded synchronously but could not be parsed
+     * in strict mode
+     * @fulfil {Object} an object that maps each basename to its data
+     * @reject {LocaleDataParseError} if a file was loaded but could not be parsed in strict mode
+     */
+    loadDataBatch(params) {
+        const { sync = this.sync, basenames } = params || {};
+        if (!Array.isArray(basenames) || !basenames.length ||
+                basenames.some(basename => !basename || typeof(basename) !== 'string')) {
+            throw new LocaleDataOptionsError("Invalid basenames parameter to loadDataBatch");
+        }
+        const unique = basenames.filter((basename, i) => basenames.indexOf(basename) === i);
+        const toObject = (results) => {
+            let data = {};
+            unique.forEach((basename, i) => {
+                data[basename] = results[i];
+            });
+            return data;
+        };
+        const results = this.lookUpData(params, unique);
+        return sync ? toObject(results) : results.then(toObject);
+    }
+
+    /**
+     * Explain how the data for the given parameters is found. This goes through
+     * the same steps as `loadData` with the same parameters, including loading
+     * the files that are not in the cache yet, but instead of the data, it returns
+     * a report of what happened to each of the files that could contain the data.
+     * This helps to find out why the data in a file is not used, such as an
+     * override in another root.<p>
+     *
+     * The report is an object with the following properties:
+     *
+     * <ul>
+     * <li>locale {string} - the spec of the locale that the data was looked up for
+     * <li>basename {string} - the basename of the data
+     * <li>files {Array.<Object>} - the files that could contain the data for each
+     * sublocale in the fallback chain and each root, in the order they were looked
+     * at. Each has the properties "root", "path" and "locale" of the file, and the
+     * property "status", which is one of:
+     *   <ul>
+     *   <li>"cacheHit" - the data was already in the cache. The property "source"
+     *   gives the path of the file that it was loaded from, which may be an assembled
+     *   file, or undefined if the data was given to `cacheData`
+     *   <li>"knownMissing" - an earlier load already found that the file does not exist
+     *   <li>"fileLoaded" - the file was loaded
+     *   <li>"fileMissing" - the file was loaded, but it does not exist
+     *   <li>"parseError" - the file was loaded, but it could not be parsed
+     *   <li>"notInManifest" - the file was skipped because the root has a manifest
+     *   that does not list it
+     *   </ul>
+     * <li>merged {Array.<Object>} - the entries of the files list whose data was
+     * merged to form the result of `loadData`, in the order they were merged
+     * </ul>
+     *
+     * Files that cannot be parsed are reported as such rather than failing the
+     * load, even in strict mode.<p>
+     *
+     * This is a real load, not a dry run. The files that it loads are stored in
+     * the cache and are used by later calls to `loadData`, the loader calls and
+     * cache hits count in the statistics from `getCacheStats`, and the same
+     * events are emitted as for `loadData`, including validation errors. Only the
+     * merged result is not stored in the cache.
+     *
+     * @param {Object} params the same parameters as for `loadData`
+     * @returns {Promise|Object} the report or a promise to create the report
+     * @throws {SyncLoadUnavailableError} if synchronous loading was requested but the
+     * loader does not support it and the data is not already in the cache
+     * @fulfil {Object} the report
+     */
+    explainLoad(params) {
+        const { sync = this.sync, basename } = params || {};
+        let trace = {
+            files: [],
+            merged: []
+        };
+
+        const getReport = () => {
+            const entries = new Map(trace.files.map((file) => {
+                let entry = {
+                    root: file.root,
+                    path: file.name,
+                    locale: file.locale.getSpec(),
+                    status: file.status
+                };
+                if (file.status === "cacheHit") {
+                    entry.source = file.source;
+                }
+                return [file, entry];
+            }));
+            return {
+                locale: trace.locale,
+                basename,
+                files: Array.from(entries.values()),
+                merged: trace.merged.map(file => entries.get(file))
+            };
+        };
+
+        const results = this.lookUpData(Object.assign({}, params, { withSources: false }), [basename], trace);
+        return sync ? getReport() : results.then(getReport);
+    }
+
+    /**
+     * Find and load the requested data for each of the given basenames as
+     * described in `loadData`, and return an array of the data in the same
+     * order as the basenames. If a trace is given, each of the files that were
+     * looked at and each of the files whose data was merged are recorded in it,
+     * and parse errors are recorded instead of thrown.
+     * @private
+     */
+    lookUpData(params, basenames, trace) {
         const {
             sync = this.sync,
             locale = getLocale(),
-            basename,
             mostSpecific,
             returnOne,
-            crossRoots
+            crossRoots,
+            replace = false,
+            likely = this.likely,
+            withSources = false
         } = params || {};
 
         // first check if it's in the cache
@@ -402,112 +1209,234 @@ class LocaleData {
         if (locale && locale !== "root" && !loc.getLanguage()) {
             loc = new Locale("und", loc.getRegion(), loc.getVariant(), loc.getScript());
         }
+        if (likely) {
+            loc = getLikelyLocale(loc);
+        }
+        if (trace) {
+            trace.locale = loc.getSpec();
+        }
 
-        if (sync && !this.loader.supportsSync() && !LocaleData.checkCache(loc.getSpec(), basename)) {
-            const lm = new LocaleMatcher({
+        basenames.forEach(basename => emitEvent("loadStart", this.path, undefined, loc, basename));
+
+        if (sync && !this.loader.supportsSync() && !this.useCache) {
+            throw new SyncLoadUnavailableError("Synchronous load was requested with a loader that does not support " +
+                "synchronous operation and this instance does not use the cache.", {
                 locale: loc.getSpec(),
-                sync: true
+                basename: basenames[0]
             });
-            loc = new Locale(lm.getLikelyLocale());
-            if (!LocaleData.checkCache(loc.getSpec(), basename)) {
-                throw "Synchronous load was requested with a loader that does not support synchronous operation" +
-                    " and the requested locale data was not already available in the cache.";
+        }
+
+        if (sync && !this.loader.supportsSync()) {
+            const findMissing = spec => basenames.findIndex(basename => !LocaleData.checkCache(spec, basename));
+            if (findMissing(loc.getSpec()) > -1) {
+                const requested = loc.getSpec();
+                loc = getLikelyLocale(loc);
+                const missing = findMissing(loc.getSpec());
+                if (missing > -1) {
+                    throw new SyncLoadUnavailableError("Synchronous load was requested with a loader that does not " +
+                        "support synchronous operation and the requested locale data was not already available in " +
+                        "the cache.", {
+                        locale: requested,
+                        basename: basenames[missing]
+                    });
+                }
             }
         }
 
-        function mergeData(files) {
+        // return the files whose data goes into the result, in the order
+        // in which they are merged
+        function getMergedFiles(files) {
+            const found = files.filter(file => file.data);
+
             if (mostSpecific) {
-                return files.reduce((previous, current) => {
-                    return (current && current.data) ? current.data : previous;
-                }, {});
+                return found.slice(-1);
             }
 
             if (returnOne) {
-                return files.map(file => file.data).find(file => file);
+                return found.slice(0, 1);
             }
 
             if (crossRoots) {
                 // merge all data across all roots
-                return files.map(file => file.data).reduce((previous, current) => {
-                    return JSUtils.merge(previous, current || {});
-                }, {});
+                return found;
             }
 
             // else return the data for each sublocale in the first root in which
             // it is found in and ignore the data in the other roots
             let locales = {};
-            let dataToMerge = [];
-            files.forEach((file) => {
-                if (file.data && !locales[file.locale.getSpec()]) {
-                    locales[file.locale.getSpec()] = true;
-                    dataToMerge.push(file.data);
-                }
+            return found.filter((file) => {
+                const spec = file.locale.getSpec();
+                if (locales[spec]) return false;
+                locales[spec] = true;
+                return true;
             });
+        }
+
+        function mergeData(merged) {
+            if (mostSpecific) {
+                return merged.length ? merged[0].data : {};
+            }
 
-            return dataToMerge.reduce((previous, current) => {
-                return JSUtils.merge(previous, current || {});
+            if (returnOne) {
+                return merged.length ? merged[0].data : undefined;
+            }
+
+            return merged.reduce((previous, current) => {
+                return JSUtils.merge(previous, current.data, replace);
             }, {});
         }
 
-        // for async operation, try loading the assembled locale data file first
-        // so that we don't have to load a bunch of individual files
-        let promise = (!sync && !this.cache.isLoaded(`${loc.getSpec()}.js`)) ?
-            LocaleData.ensureLocale(loc, [this.path]) :
-            Promise.resolve(true);
+        const roots = this.getRoots(); // includes this.path at the end of it
 
-        // then check how to load it
-        // then load it
+        // when not using the cache, the data goes straight from the
+        // loader to the caller without being recorded anywhere
+        const cache = this.useCache ? this.cache : undefined;
+        const strict = !trace && this.parseMode === "strict";
 
-        const roots = this.getRoots(); // includes this.path at the end of it
-        let files;
+        const lookups = basenames.map((basename) => {
+            // the same merge of the same files gives the same result, so remember it
+            const mergeKey = (cache && !trace && !withSources) ?
+                JSON.stringify([roots, basename, loc.getSpec(), !!mostSpecific, !!returnOne, !!crossRoots, !!replace]) :
+                undefined;
+            return {
+                basename,
+                mergeKey,
+                memo: mergeKey && cache.getMergedData(mergeKey)
+            };
+        });
+        const pending = lookups.filter(lookup => !lookup.memo);
 
-        if (sync) {
-            files = this.getFilesArray(basename, loc, crossRoots ? roots.reverse() : roots);
-            const count = files.filter(file => !file.data).length;
-            if (count) {
-                const fileNames = files.map((file) => {
-                    return (file.data || this.cache.isLoaded(file.name)) ? undefined : file.name;
+        const returnData = (data, validate, basename) => {
+            if (validate) {
+                this.validateData(data, {
+                    locale: loc.getSpec(),
+                    basename,
+                    partial: false
                 });
-                const data = this.loader.loadFiles(fileNames, {sync});
-                data.forEach((datum, i) => {
-                    if (!files[i].data) {
-                        // null indicates we attempted to load the file, but
-                        // there was no data or the file did not exist
-                        this.cache.markFileAsLoaded(fileNames[i]);
-                        const parsed = datum ? parseData(datum, fileNames[i]) : null;
-                        this.cache.storeData(files[i].root, basename, files[i].locale, parsed);
-                        files[i].data = parsed;
-                    }
+            }
+            // the data contains objects from the shared cache
+            return this.immutable ? data : copyData(data);
+        };
+
+        const getResult = (lookup) => {
+            const { basename, mergeKey, memo, files } = lookup;
+            if (memo) {
+                memo.files.forEach((file) => {
+                    // keep the data that went into the merge from being evicted
+                    cache.getData(file.root, basename, file.locale);
+                    emitEvent("cacheHit", file.root, file.name, file.locale, basename);
                 });
+                return returnData(memo.data, memo.validate, basename);
             }
 
-            return mergeData(files);
-        } else {
-            promise = promise.then(() => {
-                files = this.getFilesArray(basename, loc, crossRoots ? roots.reverse() : roots);
-                const count = files.filter(file => !file.data).length;
-                if (count) {
-                    const fileNames = files.map((file) => {
-                        return (file.data || this.cache.isLoaded(file)) ? undefined : file.name;
+            const merged = getMergedFiles(files);
+            if (trace) {
+                trace.merged = merged;
+            }
+            const result = deepFreeze(mergeData(merged));
+            // files that could not be parsed are not cached, so neither is a merge without them.
+            // With cache limits, the data for some of the files may already be evicted again
+            // as well, and the merge must not keep it alive.
+            if (mergeKey && !files.some(file => file.status === "parseError") &&
+                    merged.every(file => cache.hasData(file.root, basename, file.locale))) {
+                // any of the files could change the result if its data changes
+                let dependencies = [];
+                FallbackRegistry.getFallbackRegistry().getChain(loc.getSpec()).forEach((spec) => {
+                    roots.forEach((root) => {
+                        dependencies.push({ root, locale: new Locale(spec), basename });
                     });
-                    return this.loader.loadFiles(fileNames, {sync}).then((data) => {
-                        data.forEach((datum, i) => {
-                            // record that we already attempted to load this
-                            this.cache.markFileAsLoaded(fileNames[i]);
-                            if (!files[i].data) {
-                                // null indicates we attempted to load the file, but
-                                // there was no data or the file did not exist
-                                const parsed = datum ? parseData(datum, fileNames[i]) : null;
-                                this.cache.storeData(files[i].root, basename, files[i].locale, parsed);
-                                files[i].data = parsed;
-                            }
-                        });
+                });
+                cache.storeMergedData(mergeKey, {
+                    data: result,
+                    files: merged.map(file => ({ root: file.root, name: file.name, locale: file.locale })),
+                    validate: merged.length > 0
+                }, dependencies);
+            }
+            const data = returnData(result, merged.length > 0, basename);
+            return withSources ? { data, sources: getSources(merged) } : data;
+        };
+
+        const getResults = () => lookups.map(getResult);
+
+        // load the files for all of the basenames with one call to the loader
+        const loadFiles = (manifests, assembled) => {
+            const searchRoots = crossRoots ? roots.slice(0).reverse() : roots;
+            pending.forEach((lookup) => {
+                lookup.files = this.getFilesArray(lookup.basename, loc, searchRoots, manifests, trace);
+                if (assembled) {
+                    lookup.files.forEach((file) => {
+                        const sublocale = assembled[file.root] && assembled[file.root][file.locale.getSpec()];
+                        const found = sublocale && sublocale[lookup.basename];
+                        if (!file.data && found) {
+                            file.data = found.data;
+                            file.status = "fileLoaded";
+                            file.source = found.path;
+                        }
                     });
                 }
+                lookup.fileNames = lookup.files.map((file) => {
+                    return (file.data || (cache && cache.isLoaded(file.name))) ? undefined : file.name;
+                });
             });
-            return promise.then(() => mergeData(files));
+            const receive = (data) => {
+                let start = 0;
+                pending.forEach((lookup) => {
+                    const end = start + lookup.files.length;
+                    receiveFiles(lookup.files, lookup.fileNames, data.slice(start, end), lookup.basename, cache, strict);
+                    this.validateFiles(lookup.files, lookup.fileNames, lookup.basename);
+                    start = end;
+                });
+            };
+            const fileNames = pending.reduce((all, lookup) => all.concat(lookup.fileNames), []);
+            let data;
+            if (fileNames.some(fileName => fileName)) {
+                if (cache) {
+                    cache.recordLoaderCall();
+                }
+                data = this.loader.loadFiles(fileNames, {sync});
+            } else {
+                // every file is either in the cache already or known to be
+                // missing, so there is nothing to ask the loader for
+                data = fileNames.map(() => undefined);
+                if (!sync) {
+                    data = Promise.resolve(data);
+                }
+            }
+            return sync ? receive(data) : data.then(receive);
+        };
+
+        if (sync) {
+            if (pending.length) {
+                loadFiles(loadManifests(this.loader, cache, roots, sync));
+            }
+            return getResults();
         }
-    };
+
+        if (!pending.length) {
+            return Promise.resolve(true).then(getResults);
+        }
+
+        // for async operation, try loading the assembled locale data file first
+        // so that we don't have to load a bunch of individual files
+        const validate = (data, context) => this.validateData(data, context);
+        const promise = (this.useCache && !this.cache.isLoaded(`${loc.getSpec()}.js`)) ?
+            loadLocaleFiles(loc, roots, strict, validate) :
+            Promise.resolve(true);
+
+        // then check how to load it, then load it
+        return promise.then(() => {
+            return loadManifests(this.loader, cache, roots, sync);
+        }).then((manifests) => {
+            if (cache) {
+                return loadFiles(manifests);
+            }
+            // without the cache, ensureLocale has nowhere to put the data in
+            // the assembled files, so read them directly instead
+            return loadAssembledFiles(this.loader, roots, manifests, loc, strict, validate).then((assembled) => {
+                return loadFiles(manifests, assembled);
+            });
+        }).then(getResults);
+    }
 
     /**
      * Return the list of roots that this LocaleData instance is using to load data.
@@ -522,6 +1451,191 @@ class LocaleData {
         return LocaleData.getGlobalRoots().concat([this.path]);
     }
 
+    /**
+     * Find out which locales have data in the roots of this instance, such as
+     * to fill a language picker. The manifest of each root is used when it has
+     * one. Otherwise, on nodejs, the directories of the root are scanned. On other
+     * platforms, roots without a manifest are skipped. Assembled files such as
+     * "de-DE.js" are loaded to find out which of their sublocales have data.<p>
+     *
+     * Each locale is listed once for each root that has data for it, in the order
+     * of the roots from `getRoots`, and sorted by locale within a root. The root
+     * locale itself is not listed, but locales that only have a region such as
+     * "und-DE" are.
+     *
+     * @param {string=} basename only list the locales that have data for this
+     * basename. If not given, list the locales that have data for any basename
+     * @returns {Promise} a promise to find the locales
+     * @fulfil {Array.<Object>} an array of objects with the properties "locale",
+     * giving the spec of a locale that has data, and "root", giving the root
+     * in which the data was found
+     */
+    getAvailableLocales(basename) {
+        const roots = this.getRoots();
+        const cache = this.useCache ? this.cache : undefined;
+
+        return loadManifests(this.loader, cache, roots, false).then((manifests) => {
+            return Promise.all(roots.map(root => listRootFiles(root, manifests[root])));
+        }).then((lists) => {
+            let assembled = [];
+            const locales = lists.map((files, i) => {
+                let found = new Set();
+                files.forEach((file) => {
+                    const info = parseDataPath(file);
+                    if (!info) return;
+                    if (info.assembled) {
+                        assembled.push({ index: i, path: Path.join(roots[i], file) });
+                    } else if (!basename || info.basename === basename) {
+                        found.add(info.locale);
+                    }
+                });
+                return found;
+            });
+
+            if (!assembled.length) return locales;
+            return this.loader.loadFiles(assembled.map(file => file.path), {sync: false}).then((data) => {
+                data.forEach((datum, i) => {
+                    const { index, path } = assembled[i];
+                    const localeData = datum ? parseFile(datum, path, roots[index], undefined, undefined, false) : null;
+                    for (let spec in (localeData || {})) {
+                        const sublocale = localeData[spec];
+                        if (sublocale && (basename ? typeof(sublocale[basename]) !== 'undefined' : Object.keys(sublocale).length)) {
+                            locales[index].add(new Locale(spec).getSpec());
+                        }
+                    }
+                });
+                return locales;
+            });
+        }).then((locales) => {
+            let results = [];
+            locales.forEach((found, i) => {
+                Array.from(found).filter(spec => spec !== "root").sort().forEach((locale) => {
+                    results.push({ locale, root: roots[i] });
+                });
+            });
+            return results;
+        });
+    }
+
+    /**
+     * Pick the best locale to use for a user out of the locales that have data
+     * in the roots of this instance. The requested locales are given in order of
+     * preference, such as the locales from a parsed Accept-Language header or
+     * `navigator.languages`.<p>
+     *
+     * A locale has data for a basename if the data for it or for any of the
+     * locales in its fallback chain other than the root locale exists, as listed
+     * by `getAvailableLocales`. So "de-DE" has data if there is only a "de" file.
+     * Locales that only have a region, such as "und-DE", are never picked, and
+     * neither are the overlays for "-u-" extension keywords such as
+     * "de-DE-u-co-phonebk". The requested locales are matched without their
+     * extensions.<p>
+     *
+     * The requested locales are tried in order. For each one, the locales in its
+     * fallback chain, as returned by `getFallbackChain`, are tried first, from the
+     * most specific to the least specific one, not counting the root locale. The
+     * first of them that is available is returned. Locales are compared after
+     * expanding them with their likely subtags, so "zh-TW" is available for
+     * "zh-Hant-TW". This way, "es-AR" gets "es-419" rather than "es-MX", and
+     * "en-GB" gets "en-001" or "en" rather than "en-US".<p>
+     *
+     * If nothing in the fallback chain is available, the requested locale is
+     * matched against each available locale with the distance scoring of
+     * LocaleMatcher, which scores locales from 0 to 100. The best match with a
+     * score of at least the threshold is returned, or else the next requested
+     * locale is tried. When matches have the same score, an exact match is
+     * preferred, and then the less specific locale.<p>
+     *
+     * The options may contain the following properties:
+     *
+     * <ul>
+     * <li>basename {string|Array.<string>} - the locale must have data for this
+     * basename, or for all of these basenames. If not given, data for any
+     * basename will do.
+     * <li>threshold {number} - the lowest score that counts as a match. Scores of
+     * locales with different languages are usually 50 or less. Default: 70
+     * </ul>
+     *
+     * @param {Array.<string|Locale>|string|Locale} requested the requested locales,
+     * in order of preference
+     * @param {Object=} options options controlling the negotiation, as detailed above
+     * @returns {Promise} a promise to pick the locale
+     * @throws {LocaleDataOptionsError} if the parameters are not valid
+     * @fulfil {string|undefined} the spec of the best available locale, or undefined
+     * if none of the available locales match any of the requested ones well enough
+     */
+    negotiateLocale(requested, options) {
+        const list = Array.isArray(requested) ? requested : [requested];
+        if (!requested || list.some(locale => !locale || (typeof(locale) !== 'string' && typeof(locale) !== 'object'))) {
+            throw new LocaleDataOptionsError("Invalid requested locales parameter to negotiateLocale");
+        }
+        const { basename, threshold = 70 } = options || {};
+        const basenames = Array.isArray(basename) ? basename : [basename];
+
+        return Promise.all(basenames.map(name => this.getAvailableLocales(name))).then((results) => {
+            const available = results.map(locales => new Set(locales.map(result => result.locale)));
+            let candidates = new Set();
+            available.forEach((locales) => {
+                locales.forEach((spec) => {
+                    // overlays for "-u-" keywords only add to the data of their base locale
+                    if (!spec.startsWith("und") && !splitExtensions(spec).keywords.length) candidates.add(spec);
+                });
+            });
+            // the candidate must have real data for every basename, not just root data
+            candidates = Array.from(candidates).filter((spec) => {
+                const chain = LocaleData.getFallbackChain(spec).filter(sublocale => sublocale !== "root");
+                return available.every(locales => chain.some(sublocale => locales.has(sublocale)));
+            }).sort((left, right) => left.length - right.length || (left < right ? -1 : 1));
+
+            // the likely subtags make "zh-TW" the same locale as "zh-Hant-TW"
+            let expanded = new Map();
+            candidates.forEach((candidate) => {
+                const likely = getLikelyLocale(new Locale(candidate)).getSpec();
+                if (!expanded.has(likely)) expanded.set(likely, candidate);
+            });
+            const findInChain = (spec) => {
+                const chain = LocaleData.getFallbackChain(spec).
+                    filter(sublocale => sublocale !== "root" && !sublocale.startsWith("und")).
+                    reverse();
+                for (let i = 0; i < chain.length; i++) {
+                    if (candidates.indexOf(chain[i]) > -1) {
+                        return chain[i];
+                    }
+                    const likely = getLikelyLocale(new Locale(chain[i])).getSpec();
+                    if (expanded.has(likely)) {
+                        return expanded.get(likely);
+                    }
+                }
+                return undefined;
+            };
+
+            for (let i = 0; i < list.length; i++) {
+                const spec = splitExtensions(new Locale(list[i]).getSpec()).base;
+                const inChain = findInChain(spec);
+                if (inChain) {
+                    return inChain;
+                }
+                const lm = new LocaleMatcher({
+                    locale: spec,
+                    sync: true
+                });
+                let best, bestScore = -1;
+                candidates.forEach((candidate) => {
+                    // exact matches win ties
+                    const score = lm.match(candidate) + (candidate === spec ? 0.5 : 0);
+                    if (score > bestScore) {
+                        best = candidate;
+                        bestScore = score;
+                    }
+                });
+                if (best && bestScore >= threshold) {
+                    return best;
+                }
+            }
+            return undefined;
+        });
+    }
+
     /**
      * Return the list of roots shared by all of the instances of LocaleData. Entries
      * earlier in the list take precedence over entries later in the list.
@@ -563,7 +1677,9 @@ class LocaleData {
     /**
      * Remove the path from the list of roots shared by all instances of LocaleData.
      * If the path appears in the middle of the list, it will be removed from there
-     * and the rest of the array will move down one.
+     * and the rest of the array will move down one. Any data that was loaded
+     * from that root is removed from the cache as well, so that if the root is
+     * added again later, its data is loaded afresh.
      *
      * @param {string} the path to remove
      */
@@ -576,15 +1692,21 @@ class LocaleData {
         }
         const element = ilib.roots.indexOf(pathName);
         if (element > -1) {
+            DataCache.getDataCache().invalidate({ root: pathName });
             return ilib.roots.splice(element, 1);
         }
     }
 
     /**
-     * Clear the list of roots shared by all instances of LocaleData.
+     * Clear the list of roots shared by all instances of LocaleData. Any data that
+     * was loaded from those roots is removed from the cache as well.
      */
     static clearGlobalRoots() {
         var ilib = getIlib();
+        if (ilib.roots) {
+            const cache = DataCache.getDataCache();
+            ilib.roots.forEach(root => cache.invalidate({ root }));
+        }
         ilib.roots = [];
     }
 
@@ -664,6 +1786,10 @@ class LocaleData {
      * usefully, the root locale is given separately, so any requested locale
      * that does not match any of the sublocales can use the root locale data.<p>
      *
+     * The files for the parents of the locale in its fallback chain are loaded
+     * as well. For example, for "pt-AO", the file "pt-PT.js" is loaded too.
+     * See `getFallbackChain` for details.<p>
+     *
      * If the data is loaded successfully, the Promise returned from this method
      * will resolve to `true`.
      * If there was an error loading the files, or if no files were found to
@@ -673,79 +1799,35 @@ class LocaleData {
      * the locale spec
      * @param {Array.<string>=} otherRoots an array of extra roots to search (other than
      * the global roots) or undefined for no other roots
+     * @param {Object=} options options controlling the loading. The property "parseMode"
+     * may be "strict" or "lenient" and the property "likely" may be a boolean, with the
+     * same meaning as the options of the same names to the constructor. Defaults:
+     * "strict" and false
      * @returns {Promise} a promise to load the data with the resolved
      * value of true if the load was successful, and false if not
+     * @throws {LocaleDataOptionsError} if the locale parameter is not valid
      * @fulfil {boolean} true if the locale data was successfully loaded or
      * false if it could be found
-     * @reject {Error} if there was an error while loading the data
+     * @reject {LocaleDataParseError} if a file was loaded but could not be parsed
+     * in strict mode
      */
-    static ensureLocale(locale, otherRoots) {
-        if (typeof(locale) !== 'string' && typeof(locale) !== 'object') {
-            throw "Invalid parameter to ensureLocale";
+    static ensureLocale(locale, otherRoots, options) {
+        if (!locale || (typeof(locale) !== 'string' && typeof(locale) !== 'object')) {
+            throw new LocaleDataOptionsError("Invalid parameter to ensureLocale");
         }
         let loc = (typeof(locale) === 'string') ? new Locale(locale) : locale;
         if (locale && locale !== "root" && !loc.getLanguage()) {
             loc = new Locale("und", loc.getRegion(), loc.getVariant(), loc.getScript());
         }
+        const { parseMode = "strict", likely = false } = options || {};
+        if (likely) {
+            loc = getLikelyLocale(loc);
+        }
         const roots = LocaleData.getGlobalRoots().concat(otherRoots || []);
         if (roots.length === 0) {
             roots.push("./locale");
         }
-        const spec = loc.getSpec();
-
-        const loader = LoaderFactory();
-        const cache = DataCache.getDataCache();
-        const subLocales = Utils.getSublocales(locale);
-        let files = [];
-        subLocales.forEach((spec) => {
-            roots.forEach((root) => {
-                let ret = {
-                    path: Path.join(root, `${spec}.js`),
-                    root
-                };
-                // check if the data is already available in the cache
-                const data = cache.getData(root, undefined, new Locale(spec));
-                if (data) {
-                    ret.data = data;
-                }
-                files.push(ret);
-
-                // only need to check the cache for the js files otherwise
-                // we have the same data twice in the array
-                files.push({
-                    path: Path.join(root, `${spec}.json`),
-                    root
-                });
-            });
-        });
-
-        return Promise.resolve(true).then(() => {
-            const count = files.filter(file => !file.data).length;
-            if (count) {
-                const fileNames = files.map(file =>
-                    (file.data || cache.isLoaded(file.path)) ? undefined : file.path
-                );
-                return loader.loadFiles(fileNames).then(data => {
-                    return data.reduce((previous, datum, i) => {
-                        cache.markFileAsLoaded(files[i].path);
-                        if (!datum) return previous;
-                        if (!files[i].data) {
-                            // null indicates we attempted to load the file, but
-                            // there was no data or the file did not exist
-                            let localeData = parseData(datum, files[i].path);
-                            if (localeData) {
-                                LocaleData.cacheData(localeData, files[i].root);
-                                files[i].data = localeData;
-                                return true;
-                            }
-                        }
-                        return previous;
-                    }, false);
-                });
-            } else {
-                return true;
-            }
-        });
+        return loadLocaleFiles(loc, roots, parseMode !== "lenient");
     }
 
     /**
@@ -775,6 +1857,10 @@ class LocaleData {
      * using a call to `cacheData`.
      * </ul>
      *
+     * Data loaded by LocaleData instances that were created with the `useCache`
+     * option set to false is never stored in the cache, so this method does not
+     * consider it to be available.
+     *
      * @param {string} packageName Name of the package to check for data
      * @param {string} locale full locale of the data to check
      * @param {string|undefined} basename the basename of the data to check. If
@@ -793,7 +1879,7 @@ class LocaleData {
         }
 
         // use slice(1) because we don't need to check the root locale
-        return Utils.getSublocales(locale).slice(1).some((sublocale) => {
+        return FallbackRegistry.getFallbackRegistry().getChain(locale).slice(1).some((sublocale) => {
             return roots.some((root) => {
                 const value = cache.getData(root, basename, new Locale(sublocale));
                 return typeof(value) !== 'undefined' ||
@@ -829,30 +1915,237 @@ class LocaleData {
      * (basename "PhoneNumber") and phone number formatting (base name "PhoneFmt").
      * </ul>
      *
+     * The data is copied before it is deep-frozen and stored in the cache, so the
+     * given object can still be changed afterwards without affecting the cached data.
+     *
      * @param {Object} data the locale date in the above format
      * @param {string} root the root from which this data was loaded
      */
     static cacheData(data, root) {
-        if (typeof(data) !== 'object') {
-            return;
+        storeAssembledData(copyData(data), root);
+    }
+
+    /**
+     * Clear the locale data cache. When called without any criteria, this clears the
+     * whole cache, which is mostly intended to be used by unit testing to guarantee
+     * that the cache is clear before starting a new test.<p>
+     *
+     * The criteria allow for removing only part of the data in the cache. They
+     * can contain any combination of the following properties:
+     *
+     * <ul>
+     * <li>root {string} - only remove data that was loaded from this root
+     * <li>locale {Locale|string} - only remove data for this locale and for the
+     * more specific locales that fall back to it, such as "de-DE" for "de". The
+     * data for its sublocales, such as "root" and "de" for "de-DE", is shared with
+     * other locales, so it is not removed
+     * <li>exact {boolean} - when true, only remove the data for exactly the given
+     * locale and not for the more specific locales that fall back to it
+     * <li>basename {string} - only remove data of this type
+     * </ul>
+     *
+     * The removed data is loaded again the next time it is needed.
+     *
+     * @param {Object=} criteria which data to remove, as detailed above, or
+     * undefined to remove everything
+     */
+    static clearCache(criteria) {
+        if (criteria) {
+            DataCache.getDataCache().invalidate(criteria);
+        } else {
+            DataCache.clearDataCache();
         }
-        const cache = DataCache.getDataCache();
+    }
 
-        for (let locale in data) {
-            const localeData = data[locale];
-            for (let basename in localeData) {
-                const any = localeData[basename];
-                cache.storeData(root, basename, new Locale(locale), any);
-            }
+    /**
+     * Return statistics about the locale data cache shared by all instances of
+     * LocaleData, such as the number of cache hits and misses broken down by
+     * root, locale, and basename, and the number of times the loader was called.
+     * See the `getStats` method of the DataCache class for details.
+     *
+     * @returns {Object} the statistics about the cache
+     */
+    static getCacheStats() {
+        return DataCache.getDataCache().getStats();
+    }
+
+    /**
+     * Reset the counters in the statistics about the locale data cache to zero.
+     */
+    static resetCacheStats() {
+        DataCache.getDataCache().resetStats();
+    }
+
+    /**
+     * Return an iterator over all of the items in the locale data cache shared
+     * by all instances of LocaleData. Each item is an object with the properties
+     * "root", "locale", "basename" and "data". This is intended to be used for
+     * debugging, for example, to show which locale data a process currently holds.
+     *
+     * @returns {Iterator.<Object>} an iterator over the cached items
+     */
+    static getCacheEntries() {
+        return DataCache.getDataCache().entries();
+    }
+
+    /**
+     * Limit the amount of memory that the locale data cache shared by all instances
+     * of LocaleData may use. When the cache grows beyond these limits, the data for
+     * the least recently used locales is evicted from the cache. Evicted data is
+     * loaded again the next time it is needed.<p>
+     *
+     * The limits can contain the following properties:
+     *
+     * <ul>
+     * <li>maxEntries {number} - the maximum number of basenames for all locales
+     * in all roots to keep in the cache
+     * <li>maxBytes {number} - the approximate maximum number of bytes of memory
+     * that the cached data may occupy
+     * </ul>
+     *
+     * Give 0 for either limit to remove it. By default, there are no limits.
+     *
+     * @param {Object} limits the limits to apply to the cache, as detailed above
+     */
+    static setCacheLimits(limits) {
+        DataCache.getDataCache().setLimits(limits);
+    }
+
+    /**
+     * Listen for events about what all of the instances of LocaleData and the
+     * shared locale data cache are doing. This can be used to gather metrics
+     * or to show what is happening in a debugging tool without turning on
+     * trace logging. The following events are available:
+     *
+     * <ul>
+     * <li>loadStart - `loadData` was called. The root is the path of the
+     * LocaleData instance.
+     * <li>fileLoaded - a locale data file was loaded
+     * <li>fileMissing - a locale data file was requested from the loader but
+     * it does not exist or is empty
+     * <li>parseError - a locale data or manifest file could not be parsed. The
+     * event also has an "error" property containing the LocaleDataParseError.
+     * <li>cacheHit - locale data that was needed was found in the cache
+     * <li>cacheStore - locale data was stored in the cache. The data may be
+     * null to record that it does not exist.
+     * <li>cacheClear - locale data was removed from the cache. If the basename
+     * is undefined, the data for all basenames were removed, and if the root
+     * and locale are undefined too, the whole cache was cleared.
+     * <li>validationError - loaded data does not match the validator registered for
+     * its basename. The event also has an "error" property containing the
+     * LocaleDataValidationError.
+     * <li>fileChanged - a file under a root watched by a RootWatcher changed
+     * </ul>
+     *
+     * The listener is called with an object with the properties "root", "path",
+     * "locale" and "basename" that describe what the event is about. The locale
+     * is given as a locale spec string. Properties that do not apply to a
+     * particular event are undefined. Listeners are called synchronously, so
+     * they should not do much work.
+     *
+     * @param {string} eventName the name of the event to listen for
+     * @param {Function} listener the function to call when the event happens
+     */
+    static on(eventName, listener) {
+        EventHub.getEventHub().on(eventName, listener);
+    }
+
+    /**
+     * Listen for the next event with the given name only. See the `on` method
+     * for the list of events.
+     *
+     * @param {string} eventName the name of the event to listen for
+     * @param {Function} listener the function to call when the event happens
+     */
+    static once(eventName, listener) {
+        EventHub.getEventHub().once(eventName, listener);
+    }
+
+    /**
+     * Stop listening for the given event. If no listener is given, all of the
+     * listeners for that event are removed.
+     *
+     * @param {string} eventName the name of the event
+     * @param {Function=} listener the listener that was given to `on` or `once`
+     */
+    static off(eventName, listener) {
+        EventHub.getEventHub().off(eventName, listener);
+    }
+
+    /**
+     * Set the parent of a locale in the fallback chains. When the data for the
+     * locale is loaded, the data for the parent and the parent's own fallback
+     * chain is merged in before the data for the locale itself. For example,
+     * to make "es-MX" inherit the data for "es-419":
+     *
+     * <pre>
+     * LocaleData.setParentLocale("es-MX", "es-419");
+     * </pre>
+     *
+     * The parents from the CLDR parentLocales data, such as that one, are set
+     * by default. If the parent is undefined, the locale goes back to falling
+     * back to its sublocales only, like "pt-AO" falling back to "pt" and then
+     * the root locale.<p>
+     *
+     * The parents are shared by all instances of LocaleData. Data that is
+     * already in the cache is per sublocale, so it does not need to be cleared
+     * when the parents change.
+     *
+     * @param {Locale|string} locale the locale to set the parent of
+     * @param {Locale|string|undefined} parent the parent of the locale, or undefined
+     * to remove the parent
+     * @throws {LocaleDataOptionsError} if the parameters are not valid
+     */
+    static setParentLocale(locale, parent) {
+        if (!locale || (typeof(locale) !== 'string' && typeof(locale) !== 'object') ||
+                (parent && typeof(parent) !== 'string' && typeof(parent) !== 'object')) {
+            throw new LocaleDataOptionsError("Invalid parameter to setParentLocale");
+        }
+        const spec = new Locale(locale).getSpec();
+        const parentSpec = parent ? new Locale(parent).getSpec() : undefined;
+        if (spec === parentSpec) {
+            throw new LocaleDataOptionsError(`The locale ${spec} cannot be its own parent`);
         }
+        FallbackRegistry.getFallbackRegistry().setParent(spec, parentSpec);
+        // the merged data for the locales that fall back to it is now different
+        DataCache.getDataCache().clearMergedData();
     }
 
     /**
-     * Clear the locale data cache. This function is intended to be used by unit testing
-     * to guarantee that the cache is clear before starting a new test.
+     * Forget all parents set with `setParentLocale` and go back to the parents
+     * from the CLDR parentLocales data.
      */
-    static clearCache() {
-        DataCache.clearDataCache();
+    static resetParentLocales() {
+        FallbackRegistry.getFallbackRegistry().reset();
+        DataCache.getDataCache().clearMergedData();
+    }
+
+    /**
+     * Return the chain of locales whose data is merged to form the data for the
+     * given locale, from the least specific to the most specific. Without a
+     * parent, this is the list of sublocales of the locale, such as "root",
+     * "de", "und-DE" and "de-DE" for "de-DE". With a parent, it is the chain of
+     * the parent followed by the sublocales of the locale itself, leaving out
+     * the region-only sublocales of the parent such as "und-PT", which do not
+     * apply to the locale. For example, the chain for "pt-AO" is "root", "pt",
+     * "pt-PT", "und-AO" and "pt-AO". A locale with a "-u-" extension, such as
+     * "de-DE-u-co-phonebk", uses the chain of its base locale followed by the
+     * overlays for its keywords, such as "de-u-co-phonebk", "und-DE-u-co-phonebk"
+     * and "de-DE-u-co-phonebk".
+     *
+     * @param {Locale|string} locale the locale to return the chain for
+     * @returns {Array.<string>} the specs of the locales in the chain
+     * @throws {LocaleDataOptionsError} if the locale is not valid
+     */
+    static getFallbackChain(locale) {
+        if (!locale || (typeof(locale) !== 'string' && typeof(locale) !== 'object')) {
+            throw new LocaleDataOptionsError("Invalid parameter to getFallbackChain");
+        }
+        let loc = new Locale(locale);
+        if (locale !== "root" && !loc.getLanguage()) {
+            loc = new Locale("und", loc.getRegion(), loc.getVariant(), loc.getScript());
+        }
+        return FallbackRegistry.getFallbackRegistry().getChain(loc.getSpec());
     }
 }
 
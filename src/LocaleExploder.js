@@ -0,0 +1,204 @@
+/*
+ * LocaleExploder.js - split assembled per-locale data files into the
+ * per-sublocale, per-basename files of a locale data root
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import log4js from '@log4js-node/log4js-api';
+import JSON5 from 'json5';
+
+import { LocaleDataOptionsError, LocaleDataParseError } from './errors.js';
+import { getSplitPath, isLocaleSpec, normalizeSpec } from './paths.js';
+
+/**
+ * Return the data from a loaded assembled js module, which exports a
+ * function that returns the data.
+ * @private
+ */
+function getModuleData(module) {
+    const exported = (typeof(module["default"]) !== 'undefined') ? module["default"] : module;
+    if (typeof(exported) === 'function') {
+        return exported();
+    }
+    if (exported && typeof(exported.getLocaleData) === 'function') {
+        return exported.getLocaleData();
+    }
+    return undefined;
+}
+
+/**
+ * Load the given js module. In the CommonJS build of this package, babel
+ * turns the dynamic import into a call to require, which takes a path rather
+ * than the file URL that the import of an ES module needs on all platforms.
+ * @private
+ */
+function loadModule(fileName) {
+    const fullPath = path.resolve(fileName);
+    return import(typeof(require) === 'function' ? fullPath : pathToFileURL(fullPath).href);
+}
+
+/**
+ * @class Split assembled locale data files into the split layout of a root.
+ *
+ * This does the reverse of the LocaleAssembler class. It reads assembled
+ * files, such as "de-DE.js" or "ja-JP.json", and writes the data of each
+ * sublocale and basename in them into its own file in the output directory,
+ * such as "de/DE/numfmt.json", which is where `LocaleData.loadData` looks
+ * for it. Sublocales with the "und" language, such as "und-DE", are written
+ * into "und/[region]" directories, and the root sublocale is written to the
+ * top of the output directory.<p>
+ *
+ * Both CommonJS and ES modules are supported for the assembled js files.
+ * When this class is loaded through the CommonJS build of this package, ES
+ * modules can only be read on versions of nodejs that can require them.<p>
+ *
+ * This class only works on nodejs.
+ */
+class LocaleExploder {
+    /**
+     * Create a new locale exploder.
+     *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>outputDir {string} - the root directory to write the split files to.
+     * Default: the current directory
+     * <li>basenames {Array.<string>} - only write the data for these basenames.
+     * Default: all basenames found in the assembled files
+     * <li>overwrite {boolean} - if true, existing files in the output directory
+     * are replaced. If false, they are left alone and a warning is logged for
+     * each of them. Default: false
+     * </ul>
+     *
+     * @param {Object=} options options controlling the operation of this
+     * exploder, as detailed above
+     * @throws {LocaleDataOptionsError} if the options are not valid
+     * @constructor
+     */
+    constructor(options) {
+        const {
+            outputDir = ".",
+            basenames,
+            overwrite = false
+        } = options || {};
+
+        if (typeof(outputDir) !== 'string' || !outputDir) {
+            throw new LocaleDataOptionsError("Invalid outputDir option to LocaleExploder constructor");
+        }
+        if (typeof(basenames) !== 'undefined' && !Array.isArray(basenames)) {
+            throw new LocaleDataOptionsError("Invalid basenames option to LocaleExploder constructor");
+        }
+
+        this.outputDir = outputDir;
+        this.basenames = basenames && basenames.length ? new Set(basenames) : undefined;
+        this.overwrite = !!overwrite;
+        this.logger = log4js.getLogger("ilib-localedata");
+    }
+
+    /**
+     * Read the data from an assembled locale data file.
+     *
+     * @param {string} fileName the path to an assembled json or js file
+     * @returns {Promise} a promise to load the data in the file. The promise
+     * is rejected with a LocaleDataParseError if the file cannot be parsed or
+     * does not contain assembled locale data.
+     */
+    readFile(fileName) {
+        const isJs = /\.(c|m)?js$/.test(fileName);
+        let promise;
+        if (isJs) {
+            promise = loadModule(fileName).then(getModuleData);
+        } else {
+            promise = fs.promises.readFile(fileName, "utf-8").then((text) => JSON5.parse(text));
+        }
+        return promise.then((data) => {
+            if (!data || typeof(data) !== 'object' || Array.isArray(data)) {
+                throw new LocaleDataParseError(`File ${fileName} does not contain assembled locale data`, {
+                    path: fileName
+                });
+            }
+            return data;
+        }, (e) => {
+            throw new LocaleDataParseError(`Could not parse assembled locale data file ${fileName}: ${e.message}`, {
+                path: fileName,
+                line: e.lineNumber,
+                column: e.columnNumber,
+                cause: e
+            });
+        });
+    }
+
+    /**
+     * Write the given assembled data into split files in the output directory.
+     * Sublocale names in the data that are not locale specs are skipped with
+     * a warning.
+     *
+     * @param {Object} data the assembled data, with the sublocales as the first
+     * level of properties and the basenames as the second
+     * @returns {Array.<string>} the paths to the files that were written
+     */
+    explodeData(data) {
+        let written = [];
+        for (let sublocale in data) {
+            if (!isLocaleSpec(sublocale)) {
+                this.logger.warn(`Skipping ${sublocale} because it is not a locale spec`);
+                continue;
+            }
+            const spec = normalizeSpec(sublocale);
+            const basenames = data[sublocale] || {};
+            for (let basename in basenames) {
+                if (this.basenames && !this.basenames.has(basename)) continue;
+
+                const fileName = path.join(this.outputDir, getSplitPath(spec, basename + ".json"));
+                if (!this.overwrite && fs.existsSync(fileName)) {
+                    this.logger.warn(`Not overwriting existing file ${fileName}`);
+                    continue;
+                }
+                fs.mkdirSync(path.dirname(fileName), { recursive: true });
+                fs.writeFileSync(fileName, JSON.stringify(basenames[basename], undefined, 4) + "\n", "utf-8");
+                this.logger.info(`Wrote ${fileName}`);
+                written.push(fileName);
+            }
+        }
+        return written;
+    }
+
+    /**
+     * Read each of the given assembled files and write their data into split
+     * files in the output directory. The files are processed in order, so
+     * when two files contain the same sublocale and basename, the later one
+     * wins if overwrite is true and the earlier one wins otherwise.
+     *
+     * @param {Array.<string>} fileNames the paths to the assembled files
+     * @returns {Promise} a promise to write the files. The promise is fulfilled
+     * with the paths to the files that were written, or rejected with a
+     * LocaleDataParseError if one of the assembled files cannot be parsed.
+     */
+    explode(fileNames) {
+        return (fileNames || []).reduce((previous, fileName) => {
+            return previous.then((written) => {
+                return this.readFile(fileName).then((data) => written.concat(this.explodeData(data)));
+            });
+        }, Promise.resolve([]));
+    }
+}
+
+export default LocaleExploder;
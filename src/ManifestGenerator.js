@@ -0,0 +1,181 @@
+/*
+ * ManifestGenerator.js - generate the ilibmanifest.json file for
+ * a locale data root
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import log4js from '@log4js-node/log4js-api';
+import JSON5 from 'json5';
+
+import { LocaleDataOptionsError } from './errors.js';
+
+/**
+ * @private
+ */
+const manifestName = "ilibmanifest.json";
+
+/**
+ * @private
+ */
+function isDataFile(fileName) {
+    return fileName !== manifestName &&
+        fileName !== "package.json" &&
+        /\.(json|js|mjs|cjs)$/.test(fileName);
+}
+
+/**
+ * @private
+ */
+function isSubroot(dir) {
+    return fs.existsSync(path.join(dir, "package.json"));
+}
+
+/**
+ * @class Generate manifest files for locale data roots.
+ *
+ * A manifest file named "ilibmanifest.json" lists all of the locale data
+ * files in a root so that the LocaleData class does not need to test for the
+ * existence of files that are not there. (See the LocaleData class for details.)
+ * This class walks the directory tree of a root and finds all of the
+ * locale data files in it, including files split by locale part such as
+ * "[lang]/[region]/[basename].json" and the assembled files for whole
+ * locales such as "[locale].js" or "[locale].json".<p>
+ *
+ * A directory inside of a root that contains its own package.json file is
+ * considered to be a nested package subroot. Nested subroots are given
+ * their own manifest files, and their files are not listed in the manifest
+ * of the enclosing root.<p>
+ *
+ * This class only works on nodejs.
+ */
+class ManifestGenerator {
+    /**
+     * Create a new manifest generator.
+     *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>root {string} (required) - The path to the locale data root on disk
+     * </ul>
+     *
+     * @param {Object} options options controlling the operation of this
+     * generator, as detailed above
+     * @constructor
+     */
+    constructor(options) {
+        if (!options || !options.root) {
+            throw new LocaleDataOptionsError("Missing root option to ManifestGenerator constructor");
+        }
+        this.root = options.root;
+        this.logger = log4js.getLogger("ilib-localedata");
+    }
+
+    /**
+     * Walk the given directory and return the paths of all the data files
+     * in it relative to the given root, as well as the list of nested
+     * subroots found along the way.
+     * @private
+     */
+    walk(root, dir, files, subroots) {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name === "node_modules") return;
+                if (isSubroot(fullPath)) {
+                    subroots.push(fullPath);
+                } else {
+                    this.walk(root, fullPath, files, subroots);
+                }
+            } else if (entry.isFile() && isDataFile(entry.name)) {
+                files.push(path.relative(root, fullPath).split(path.sep).join("/"));
+            }
+        });
+    }
+
+    /**
+     * Generate the manifests for the root and all of its nested subroots
+     * without writing them to disk.
+     *
+     * @returns {Array.<Object>} an array of objects, one for each root, each
+     * containing a "path" property giving the path to the manifest file and a
+     * "manifest" property containing the contents of that manifest
+     */
+    generate() {
+        let results = [];
+        let roots = [this.root];
+
+        while (roots.length) {
+            const root = roots.shift();
+            let files = [];
+            let subroots = [];
+            this.logger.trace(`Generating manifest for root ${root}`);
+            this.walk(root, root, files, subroots);
+            results.push({
+                path: path.join(root, manifestName),
+                manifest: {
+                    files: files.sort()
+                }
+            });
+            roots = roots.concat(subroots);
+        }
+
+        return results;
+    }
+
+    /**
+     * Generate the manifests for the root and all of its nested subroots
+     * and write them to disk.
+     *
+     * @returns {Array.<string>} the paths to the manifest files that were written
+     */
+    write() {
+        return this.generate().map((result) => {
+            fs.writeFileSync(result.path, JSON.stringify(result.manifest, undefined, 4) + "\n", "utf-8");
+            this.logger.info(`Wrote ${result.path}`);
+            return result.path;
+        });
+    }
+
+    /**
+     * Check whether the manifest files on disk for the root and all of its
+     * nested subroots are up to date. A manifest is stale if it does not
+     * exist, cannot be parsed, or does not list exactly the data files that
+     * are currently in its root.
+     *
+     * @returns {Array.<string>} the paths to the manifest files that are stale,
+     * or an empty array if all of them are up to date
+     */
+    check() {
+        return this.generate().filter((result) => {
+            let existing;
+            try {
+                existing = JSON5.parse(fs.readFileSync(result.path, "utf-8"));
+            } catch (e) {
+                this.logger.trace(e);
+                return true;
+            }
+            const files = (existing && Array.isArray(existing.files)) ? existing.files.slice(0).sort() : [];
+            return files.length !== result.manifest.files.length ||
+                files.some((file, i) => file !== result.manifest.files[i]);
+        }).map(result => result.path);
+    }
+}
+
+export default ManifestGenerator;
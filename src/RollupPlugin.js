@@ -0,0 +1,152 @@
+/*
+ * RollupPlugin.js - rollup and vite plugin that builds one lazily loaded
+ * chunk of locale data per locale
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import path from 'path';
+
+import LocaleAssembler from './LocaleAssembler.js';
+import { LocaleDataOptionsError } from './errors.js';
+import { normalizeSpec } from './paths.js';
+
+/**
+ * The id of the module that the app imports to load the chunks.
+ * @private
+ */
+const moduleId = "virtual:ilib-localedata";
+
+/**
+ * The prefix of the ids of the chunks for each locale.
+ * @private
+ */
+const chunkPrefix = moduleId + "/";
+
+/**
+ * Generate the source of the module that the app imports.
+ * @private
+ */
+function getModuleSource(locales, root) {
+    const chunks = locales.map(spec =>
+        `    ${JSON.stringify(spec)}: () => import(${JSON.stringify(chunkPrefix + spec)})`
+    );
+    return [
+        'import { LocaleData } from "ilib-localedata";',
+        '',
+        'const chunks = {',
+        chunks.join(",\n"),
+        '};',
+        '',
+        `export const root = ${JSON.stringify(root)};`,
+        '',
+        'export const locales = Object.keys(chunks);',
+        '',
+        'export default function loadLocaleData(locale) {',
+        '    const spec = (typeof(locale) === "string") ? locale : locale.getSpec();',
+        '    const load = chunks[spec];',
+        '    if (!load) return Promise.resolve(false);',
+        '    return load().then((module) => {',
+        '        LocaleData.cacheData(module["default"](), root);',
+        '        return true;',
+        '    });',
+        '}',
+        ''
+    ].join("\n");
+}
+
+/**
+ * Create a rollup plugin that builds one lazily loaded chunk of locale data
+ * for each of the target locales of an app. This plugin also works with vite,
+ * which uses the same plugin interface.<p>
+ *
+ * The data for each locale is assembled from the split locale data files in
+ * the roots by the LocaleAssembler class. Each chunk contains only the
+ * sublocales and basenames that have data in the roots, in the same format
+ * as an assembled file loaded by `LocaleData.ensureLocale`.<p>
+ *
+ * The app loads the chunks through the virtual module "virtual:ilib-localedata".
+ * Its default export is a function that takes a locale, loads the chunk for
+ * it and stores its data in the cache under the root given in the options.
+ * It returns a promise that is fulfilled with true if there was a chunk for
+ * that locale, or false otherwise. The module also exports the list of locales
+ * as "locales" and the root as "root".
+ *
+ * <pre>
+ * import loadLocaleData from "virtual:ilib-localedata";
+ *
+ * LocaleData.addGlobalRoot("locale");
+ * loadLocaleData("de-DE").then(() => {
+ *     // the data for de-DE can now be loaded synchronously
+ * });
+ * </pre>
+ *
+ * The options can contain the following properties:
+ *
+ * <ul>
+ * <li>roots {Array.<string>} (required) - the paths to the roots that contain
+ * the split locale data, such as the locale directories of the packages that
+ * the app uses, in order of precedence
+ * <li>locales {Array.<string>} (required) - the target locales of the app
+ * <li>basenames {Array.<string>} - only include the data for these basenames.
+ * Default: all basenames found in the roots
+ * <li>root {string} - the root under which the loaded data is cached. Add it
+ * as a global root, or give it as the path to LocaleData, so that the data
+ * can be found. Default: "locale"
+ * </ul>
+ *
+ * @param {Object} options options controlling the operation of this plugin,
+ * as detailed above
+ * @returns {Object} the plugin
+ * @throws {LocaleDataOptionsError} if the options are not valid
+ */
+export default function ilibLocaleData(options) {
+    const { root = "locale" } = options || {};
+    if (typeof(root) !== 'string') {
+        throw new LocaleDataOptionsError("Invalid root option to the ilib-localedata rollup plugin");
+    }
+    const assembler = new LocaleAssembler(Object.assign({}, options, {
+        format: "esm",
+        sparse: true
+    }));
+    const locales = assembler.locales.map(normalizeSpec);
+
+    return {
+        name: "ilib-localedata",
+
+        resolveId(source) {
+            if (source === moduleId || (source.startsWith(chunkPrefix) &&
+                    locales.indexOf(source.substring(chunkPrefix.length)) > -1)) {
+                // the \0 prefix tells other plugins not to process this module
+                return "\0" + source;
+            }
+            return null;
+        },
+
+        load(id) {
+            if (id === "\0" + moduleId) {
+                return getModuleSource(locales, root);
+            }
+            if (id.startsWith("\0" + chunkPrefix)) {
+                // rebuild the chunk in watch mode when the locale data changes
+                assembler.roots.forEach(dir => this.addWatchFile(path.resolve(dir)));
+                const spec = id.substring(chunkPrefix.length + 1);
+                return assembler.serialize(assembler.assemble(spec));
+            }
+            return null;
+        }
+    };
+}
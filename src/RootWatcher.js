@@ -0,0 +1,296 @@
+/*
+ * RootWatcher.js - watch locale data roots on disk and invalidate the
+ * cached data when the files in them change
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+
+import log4js from '@log4js-node/log4js-api';
+import Locale from 'ilib-locale';
+
+import DataCache from './DataCache.js';
+import EventHub from './EventHub.js';
+import FallbackRegistry from './FallbackRegistry.js';
+import { isLocaleSpec } from './paths.js';
+import LocaleData from './LocaleData.js';
+
+/**
+ * @private
+ */
+const manifestName = "ilibmanifest.json";
+
+/**
+ * Figure out which root, locale and basename a changed file belongs to from
+ * its path relative to the root. Returns undefined for files that are not
+ * locale data.
+ * @private
+ */
+function getChange(root, relativePath) {
+    const parts = relativePath.split(/[\\/]/).filter(part => part);
+    const fileName = parts.pop();
+    const match = fileName && /^(.*)\.(json|js|mjs|cjs)$/.exec(fileName);
+    if (!match || fileName === "package.json") return undefined;
+
+    const filePath = path.join(root, relativePath);
+    if (!parts.length) {
+        if (fileName === manifestName) {
+            // the list of files in the whole root changed
+            return { root, path: filePath };
+        }
+        // either a basename in the root locale or an assembled locale file
+        return isLocaleSpec(match[1]) ?
+            { root, path: filePath, locale: match[1] } :
+            { root, path: filePath, locale: "root", basename: match[1] };
+    }
+    return { root, path: filePath, locale: parts.join("-"), basename: match[1] };
+}
+
+/**
+ * Return true if fs.watch can watch a whole directory tree on this platform.
+ * On Linux, this only works in node 19.1 and later. Some older versions
+ * throw an error when asked for it, but others silently watch only the
+ * top directory instead.
+ * @private
+ */
+function supportsRecursiveWatch() {
+    if (process.platform === "darwin" || process.platform === "win32") return true;
+    if (process.platform !== "linux") return false;
+    const [major, minor] = process.versions.node.split(".").map(part => parseInt(part, 10));
+    return major > 19 || (major === 19 && minor >= 1);
+}
+
+/**
+ * @class Watch locale data roots on disk for changes.
+ *
+ * When a locale data file under a watched root is added, changed, or removed,
+ * the data that was cached for that root, locale and basename is removed from
+ * the shared data cache, along with the records of which files were already
+ * loaded, so that the next call to LocaleData.loadData will load the file again.
+ * If the ilibmanifest.json file of a root changes, all of the cached data and
+ * the cached manifest for that root are removed.<p>
+ *
+ * After the cache has been updated, the watcher emits a "change" event with an
+ * object containing the properties "root", "path", "locale" and "basename"
+ * to describe what changed. For files that contain the data for a whole
+ * locale or for manifest files, the basename is undefined, and for manifest
+ * files, the locale is undefined as well. Apps and classes can listen for
+ * this event to rebuild any formatters that use the data. The same object is
+ * also sent to the listeners of the "fileChanged" event of LocaleData.<p>
+ *
+ * Roots should be given with the same paths that were given to LocaleData
+ * so that the cached data can be found.<p>
+ *
+ * Watching is opt-in and is meant for development. This class only works
+ * on nodejs. Import it with:
+ *
+ * <pre>
+ * import RootWatcher from 'ilib-localedata/watcher';
+ * </pre>
+ */
+class RootWatcher extends EventEmitter {
+    /**
+     * Create a new root watcher and start watching the roots.
+     *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>roots {Array.<string>} - the roots to watch. If not given, the
+     * global roots of the LocaleData class are watched.
+     * <li>delay {number} - the number of milliseconds to wait for further
+     * changes to a file before updating the cache and emitting the event.
+     * Editors often write a file in several steps, so this avoids reporting
+     * the same change many times. Default: 50
+     * </ul>
+     *
+     * @param {Object=} options options controlling the operation of this
+     * watcher, as detailed above
+     * @constructor
+     */
+    constructor(options) {
+        super();
+        const { roots = LocaleData.getGlobalRoots(), delay = 50 } = options || {};
+
+        this.logger = log4js.getLogger("ilib-localedata");
+        this.delay = delay;
+        this.watchers = {};
+        this.pending = new Map();
+
+        roots.forEach(root => this.watch(root));
+    }
+
+    /**
+     * Start watching the given root. Nothing happens if the root is already
+     * being watched or does not exist.
+     *
+     * @param {string} root the path to the root to watch
+     */
+    watch(root) {
+        if (!root || typeof(root) !== "string" || this.watchers[root]) return;
+        if (!fs.existsSync(root)) {
+            this.logger.warn(`Cannot watch root ${root} because it does not exist.`);
+            return;
+        }
+
+        this.logger.trace(`Watching root ${root} for changes.`);
+        this.watchers[root] = [];
+        if (supportsRecursiveWatch()) {
+            try {
+                this.addWatcher(root, root, true);
+                return;
+            } catch (e) {
+                this.logger.trace(`Could not watch root ${root} recursively: ${e}`);
+            }
+        }
+        // recursive watching is not supported on all platforms and
+        // node versions, so watch each directory separately instead
+        this.watchDirectory(root, root);
+    }
+
+    /**
+     * Stop watching the given root.
+     *
+     * @param {string} root the path to the root to stop watching
+     */
+    unwatch(root) {
+        const watchers = this.watchers[root];
+        if (!watchers) return;
+
+        this.logger.trace(`No longer watching root ${root} for changes.`);
+        watchers.forEach(watcher => watcher.close());
+        delete this.watchers[root];
+
+        const prefix = root + "\u0000";
+        Array.from(this.pending.keys()).forEach((key) => {
+            if (key.startsWith(prefix)) {
+                clearTimeout(this.pending.get(key));
+                this.pending.delete(key);
+            }
+        });
+    }
+
+    /**
+     * Stop watching all roots.
+     */
+    close() {
+        Object.keys(this.watchers).forEach(root => this.unwatch(root));
+    }
+
+    /**
+     * Return the roots that are currently being watched.
+     *
+     * @returns {Array.<string>} the watched roots
+     */
+    getRoots() {
+        return Object.keys(this.watchers);
+    }
+
+    /**
+     * @private
+     */
+    addWatcher(root, dir, recursive) {
+        const watcher = fs.watch(dir, { recursive, persistent: false }, (eventType, fileName) => {
+            if (!fileName) return;
+            const fullPath = path.join(dir, fileName.toString());
+            if (!recursive && eventType === "rename" && isDirectory(fullPath)) {
+                this.watchDirectory(root, fullPath, true);
+            }
+            this.schedule(root, path.relative(root, fullPath));
+        });
+        watcher.on("error", (e) => {
+            this.logger.warn(`Error while watching ${dir}: ${e}`);
+        });
+        this.watchers[root].push(watcher);
+    }
+
+    /**
+     * @private
+     */
+    watchDirectory(root, dir, created) {
+        this.addWatcher(root, dir, false);
+        fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (entry.name !== "node_modules") {
+                    this.watchDirectory(root, fullPath, created);
+                }
+            } else if (created) {
+                // files may have been written into a new directory before
+                // its watcher was attached, so they would never be reported
+                this.schedule(root, path.relative(root, fullPath));
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    schedule(root, relativePath) {
+        const key = root + "\u0000" + relativePath;
+        if (this.pending.has(key)) {
+            clearTimeout(this.pending.get(key));
+        }
+        this.pending.set(key, setTimeout(() => {
+            this.pending.delete(key);
+            this.update(root, relativePath);
+        }, this.delay));
+    }
+
+    /**
+     * @private
+     */
+    update(root, relativePath) {
+        const change = getChange(root, relativePath);
+        if (!change || !this.watchers[root]) return;
+
+        this.logger.trace(`File ${change.path} changed. Invalidating the cached data.`);
+        const cache = DataCache.getDataCache();
+        if (change.basename) {
+            // a split file only contains the data for exactly one locale
+            cache.removeData(root, change.basename, new Locale(change.locale));
+        } else if (change.locale) {
+            // assembled files contain the data for all the sublocales of a locale
+            FallbackRegistry.getFallbackRegistry().getChain(change.locale).forEach((spec) => {
+                cache.invalidate({ root, locale: spec, exact: true });
+            });
+        } else {
+            // manifests affect the whole root
+            cache.invalidate({ root });
+        }
+        // the file may not have contributed any data to the cache, but
+        // it still needs to be loaded again
+        cache.unmarkFileAsLoaded(change.path);
+
+        this.emit("change", change);
+        EventHub.getEventHub().emit("fileChanged", change);
+    }
+}
+
+/**
+ * @private
+ */
+function isDirectory(fullPath) {
+    try {
+        return fs.statSync(fullPath).isDirectory();
+    } catch (e) {
+        return false;
+    }
+}
+
+export default RootWatcher;
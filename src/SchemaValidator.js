@@ -0,0 +1,212 @@
+/*
+ * SchemaValidator.js - check locale data against a JSON Schema
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @private
+ */
+function getType(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof(value);
+}
+
+/**
+ * @private
+ */
+function matchesType(value, type) {
+    const actual = getType(value);
+    switch (type) {
+        case "integer":
+            return actual === "number" && Math.floor(value) === value;
+        default:
+            return actual === type;
+    }
+}
+
+/**
+ * @private
+ */
+function isEqual(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+/**
+ * @private
+ */
+function checkObject(schema, data, path, problems, options) {
+    const properties = schema.properties || {};
+    if (Array.isArray(schema.required) && !options.partial) {
+        schema.required.forEach((name) => {
+            if (typeof(data[name]) === 'undefined') {
+                problems.push(`${path}: missing required property "${name}"`);
+            }
+        });
+    }
+    for (let name in data) {
+        const value = data[name];
+        const subpath = `${path}/${name}`;
+        let matched = false;
+        if (properties[name]) {
+            matched = true;
+            check(properties[name], value, subpath, problems, options);
+        }
+        if (schema.patternProperties) {
+            for (let pattern in schema.patternProperties) {
+                if (new RegExp(pattern).test(name)) {
+                    matched = true;
+                    check(schema.patternProperties[pattern], value, subpath, problems, options);
+                }
+            }
+        }
+        if (!matched) {
+            if (schema.additionalProperties === false) {
+                problems.push(`${path}: unknown property "${name}"`);
+            } else if (typeof(schema.additionalProperties) === 'object') {
+                check(schema.additionalProperties, value, subpath, problems, options);
+            }
+        }
+    }
+}
+
+/**
+ * @private
+ */
+function checkArray(schema, data, path, problems, options) {
+    if (typeof(schema.minItems) === 'number' && data.length < schema.minItems) {
+        problems.push(`${path}: expected at least ${schema.minItems} items but found ${data.length}`);
+    }
+    if (typeof(schema.maxItems) === 'number' && data.length > schema.maxItems) {
+        problems.push(`${path}: expected at most ${schema.maxItems} items but found ${data.length}`);
+    }
+    if (schema.items && typeof(schema.items) === 'object') {
+        data.forEach((item, i) => check(schema.items, item, `${path}/${i}`, problems, options));
+    }
+}
+
+/**
+ * @private
+ */
+function checkString(schema, data, path, problems) {
+    if (typeof(schema.minLength) === 'number' && data.length < schema.minLength) {
+        problems.push(`${path}: expected a string of at least ${schema.minLength} characters`);
+    }
+    if (typeof(schema.maxLength) === 'number' && data.length > schema.maxLength) {
+        problems.push(`${path}: expected a string of at most ${schema.maxLength} characters`);
+    }
+    if (typeof(schema.pattern) === 'string' && !new RegExp(schema.pattern).test(data)) {
+        problems.push(`${path}: "${data}" does not match the pattern ${schema.pattern}`);
+    }
+}
+
+/**
+ * @private
+ */
+function checkNumber(schema, data, path, problems) {
+    if (typeof(schema.minimum) === 'number' && data < schema.minimum) {
+        problems.push(`${path}: ${data} is less than the minimum ${schema.minimum}`);
+    }
+    if (typeof(schema.maximum) === 'number' && data > schema.maximum) {
+        problems.push(`${path}: ${data} is greater than the maximum ${schema.maximum}`);
+    }
+}
+
+/**
+ * @private
+ */
+function check(schema, data, path, problems, options) {
+    if (schema === false) {
+        problems.push(`${path}: no value is allowed here`);
+        return;
+    }
+    if (!schema || typeof(schema) !== 'object') return;
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(data, type))) {
+            problems.push(`${path}: expected ${types.join(" or ")} but found ${getType(data)}`);
+            // the rest of the checks don't make sense for the wrong type
+            return;
+        }
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(value => isEqual(value, data))) {
+        problems.push(`${path}: ${JSON.stringify(data)} is not one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (typeof(schema.const) !== 'undefined' && !isEqual(schema.const, data)) {
+        problems.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+    }
+
+    switch (getType(data)) {
+        case "object":
+            checkObject(schema, data, path, problems, options);
+            break;
+        case "array":
+            checkArray(schema, data, path, problems, options);
+            break;
+        case "string":
+            checkString(schema, data, path, problems);
+            break;
+        case "number":
+            checkNumber(schema, data, path, problems);
+            break;
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        schema.allOf.forEach(subschema => check(subschema, data, path, problems, options));
+    }
+    if (Array.isArray(schema.anyOf)) {
+        const matches = schema.anyOf.some((subschema) => {
+            let subproblems = [];
+            check(subschema, data, path, subproblems, options);
+            return subproblems.length === 0;
+        });
+        if (!matches) {
+            problems.push(`${path}: does not match any of the allowed schemas`);
+        }
+    }
+}
+
+/**
+ * Check the given data against a JSON Schema and return a list of the
+ * problems found. Only the parts of JSON Schema that are useful for checking
+ * locale data are supported: the keywords "type", "enum", "const",
+ * "properties", "patternProperties", "additionalProperties", "required",
+ * "items", "minItems", "maxItems", "minLength", "maxLength", "pattern",
+ * "minimum", "maximum", "allOf" and "anyOf". Other keywords, such as "$ref",
+ * are ignored.<p>
+ *
+ * Each problem is a string that starts with the path to the part of the data
+ * that has the problem, written as a JSON pointer such as "/currency/symbol".<p>
+ *
+ * If the "partial" option is true, the data is only part of the whole, such
+ * as the contents of one file that is merged with others, so required
+ * properties are allowed to be missing.
+ *
+ * @private
+ * @param {Object} schema the JSON Schema to check against
+ * @param {*} data the data to check
+ * @param {Object=} options options controlling the check, as detailed above
+ * @returns {Array.<string>} a list of problems, which is empty if the
+ * data matches the schema
+ */
+export default function validateSchema(schema, data, options) {
+    let problems = [];
+    check(schema, data, "", problems, options || {});
+    // the top level of the data has an empty pointer, which is hard to read
+    return problems.map(problem => problem.startsWith(":") ? "/" + problem : problem);
+}
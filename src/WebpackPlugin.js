@@ -0,0 +1,139 @@
+/*
+ * WebpackPlugin.js - webpack plugin that builds one lazily loaded chunk
+ * of locale data per locale
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import LocaleAssembler from './LocaleAssembler.js';
+
+/**
+ * @private
+ */
+const pluginName = "IlibLocaleDataPlugin";
+
+/**
+ * @class A webpack plugin that builds one lazily loaded chunk of locale data
+ * for each of the target locales of an app.<p>
+ *
+ * Under webpack, `LocaleData.ensureLocale` loads the assembled file for a
+ * locale, such as "de-DE.js", from the directory that the "calling-module"
+ * alias points to, and webpack puts each of those files into its own lazily
+ * loaded chunk. This plugin assembles those files from the split locale data
+ * files in the roots with the LocaleAssembler class before each build, and
+ * points the alias at them unless the webpack configuration already sets it.
+ * Each file contains only the sublocales and basenames that have data in
+ * the roots. Apps then load the data with `ensureLocale` as usual:
+ *
+ * <pre>
+ * // webpack.config.js
+ * plugins: [
+ *     new IlibLocaleDataPlugin({
+ *         roots: ["./locale", "./node_modules/ilib-foo/locale"],
+ *         locales: ["en-US", "de-DE", "ja-JP"]
+ *     })
+ * ]
+ * </pre>
+ *
+ * In watch mode, the roots are watched and the files are assembled again
+ * when they change.
+ */
+class IlibLocaleDataPlugin {
+    /**
+     * Create a new webpack plugin.
+     *
+     * The options can contain the following properties:
+     *
+     * <ul>
+     * <li>roots {Array.<string>} (required) - the paths to the roots that contain
+     * the split locale data, such as the locale directories of the packages that
+     * the app uses, in order of precedence
+     * <li>locales {Array.<string>} (required) - the target locales of the app
+     * <li>basenames {Array.<string>} - only include the data for these basenames.
+     * Default: all basenames found in the roots
+     * <li>outputDir {string} - the directory to write the assembled files to.
+     * Default: "node_modules/.cache/ilib-localedata"
+     * </ul>
+     *
+     * @param {Object} options options controlling the operation of this
+     * plugin, as detailed above
+     * @throws {LocaleDataOptionsError} if the options are not valid
+     * @constructor
+     */
+    constructor(options) {
+        this.assembler = new LocaleAssembler(Object.assign({
+            outputDir: path.join("node_modules", ".cache", "ilib-localedata")
+        }, options, {
+            format: "esm",
+            sparse: true
+        }));
+        this.outputDir = path.resolve(this.assembler.outputDir);
+    }
+
+    /**
+     * Assemble the files for all of the locales. Files whose contents did not
+     * change are not written again so that webpack does not rebuild because
+     * of them in watch mode.
+     *
+     * @returns {Array.<string>} the paths to the files that were written
+     * @throws {LocaleDataParseError} if one of the split files cannot be parsed
+     */
+    writeFiles() {
+        fs.mkdirSync(this.outputDir, { recursive: true });
+        return this.assembler.locales.map((locale) => {
+            const fileName = path.join(this.outputDir, path.basename(this.assembler.getOutputPath(locale)));
+            const contents = this.assembler.serialize(this.assembler.assemble(locale));
+            if (fs.existsSync(fileName) && fs.readFileSync(fileName, "utf-8") === contents) {
+                return undefined;
+            }
+            fs.writeFileSync(fileName, contents, "utf-8");
+            return fileName;
+        }).filter(fileName => fileName);
+    }
+
+    /**
+     * Hook this plugin into the given webpack compiler.
+     *
+     * @param {Object} compiler the webpack compiler
+     */
+    apply(compiler) {
+        const resolve = compiler.options.resolve = compiler.options.resolve || {};
+        if (Array.isArray(resolve.alias)) {
+            if (!resolve.alias.some(entry => entry.name === "calling-module")) {
+                resolve.alias.push({ name: "calling-module", alias: this.outputDir });
+            }
+        } else {
+            resolve.alias = resolve.alias || {};
+            if (!resolve.alias["calling-module"]) {
+                resolve.alias["calling-module"] = this.outputDir;
+            }
+        }
+
+        const write = () => {
+            this.writeFiles();
+        };
+        compiler.hooks.beforeRun.tap(pluginName, write);
+        compiler.hooks.watchRun.tap(pluginName, write);
+        compiler.hooks.afterCompile.tap(pluginName, (compilation) => {
+            this.assembler.roots.forEach(root => compilation.contextDependencies.add(path.resolve(root)));
+        });
+    }
+}
+
+export default IlibLocaleDataPlugin;
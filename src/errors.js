@@ -0,0 +1,155 @@
+/*
+ * errors.js - the errors thrown by the classes in this package
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * @class The base class of all errors thrown or rejected by the classes
+ * in this package. Callers can test for this class to catch any locale
+ * data error, or for one of its subclasses to catch a particular one.
+ */
+export class LocaleDataError extends Error {
+    /**
+     * Create a new locale data error.
+     *
+     * @param {string} message the message describing the error
+     * @param {Object=} options extra information about the error. The
+     * property "cause" may contain the error that caused this one.
+     * @constructor
+     */
+    constructor(message, options) {
+        super(message);
+        this.name = "LocaleDataError";
+        if (options && typeof(options.cause) !== 'undefined') {
+            this.cause = options.cause;
+        }
+    }
+}
+
+/**
+ * @class An error in the options or parameters given to a constructor or
+ * method, such as a missing path or an invalid locale.
+ */
+export class LocaleDataOptionsError extends LocaleDataError {
+    /**
+     * Create a new options error.
+     *
+     * @param {string} message the message describing the error
+     * @constructor
+     */
+    constructor(message) {
+        super(message);
+        this.name = "LocaleDataOptionsError";
+    }
+}
+
+/**
+ * @class Synchronous loading was requested, but the loader for the current
+ * platform does not support it and the requested data is not already
+ * available in the cache.
+ */
+export class SyncLoadUnavailableError extends LocaleDataError {
+    /**
+     * Create a new error about data that cannot be loaded synchronously.
+     *
+     * The information may contain the following properties:
+     *
+     * <ul>
+     * <li>locale {string} - the spec of the locale of the data that was requested
+     * <li>basename {string} - the basename of the data that was requested
+     * </ul>
+     *
+     * @param {string} message the message describing the error
+     * @param {Object} info information about the data that was requested,
+     * as detailed above
+     * @constructor
+     */
+    constructor(message, info) {
+        super(message);
+        this.name = "SyncLoadUnavailableError";
+        const { locale, basename } = info || {};
+        this.locale = locale;
+        this.basename = basename;
+    }
+}
+
+/**
+ * @class A locale data file was loaded but its contents could not be parsed.
+ */
+export class LocaleDataParseError extends LocaleDataError {
+    /**
+     * Create a new parse error.
+     *
+     * The information may contain the following properties:
+     *
+     * <ul>
+     * <li>path {string} - the path to the file that could not be parsed
+     * <li>root {string} - the root from which the file was loaded
+     * <li>line {number} - the line number in the file where the error was found, if known
+     * <li>column {number} - the column number in that line, if known
+     * <li>cause {*} - the error thrown by the parser
+     * </ul>
+     *
+     * @param {string} message the message describing the error
+     * @param {Object} info information about the file, as detailed above
+     * @constructor
+     */
+    constructor(message, info) {
+        super(message, info);
+        this.name = "LocaleDataParseError";
+        const { path, root, line, column } = info || {};
+        this.path = path;
+        this.root = root;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+/**
+ * @class Locale data does not match the schema or validator function
+ * that was registered for its basename.
+ */
+export class LocaleDataValidationError extends LocaleDataError {
+    /**
+     * Create a new validation error.
+     *
+     * The information may contain the following properties:
+     *
+     * <ul>
+     * <li>path {string} - the path to the file that contains the invalid data, or
+     * undefined if the problem is in the result of merging the data of many files
+     * <li>root {string} - the root from which the file was loaded
+     * <li>locale {string} - the spec of the locale of the data
+     * <li>basename {string} - the basename of the data
+     * <li>problems {Array.<string>} - a description of each problem found
+     * </ul>
+     *
+     * @param {string} message the message describing the error
+     * @param {Object} info information about the invalid data, as detailed above
+     * @constructor
+     */
+    constructor(message, info) {
+        super(message);
+        this.name = "LocaleDataValidationError";
+        const { path, root, locale, basename, problems = [] } = info || {};
+        this.path = path;
+        this.root = root;
+        this.locale = locale;
+        this.basename = basename;
+        this.problems = problems;
+    }
+}
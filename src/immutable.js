@@ -0,0 +1,59 @@
+/*
+ * immutable.js - protect the locale data in the shared cache from being
+ * changed by its callers
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Freeze the given data and everything in it so that it cannot be changed.
+ * Objects that are already frozen are assumed to be frozen all the way
+ * down, which is the case for the data that comes out of the cache, so
+ * freezing a merge of cached data only has to freeze the new objects.
+ *
+ * @private
+ * @param {*} data the data to freeze
+ * @returns {*} the same data, frozen
+ */
+export function deepFreeze(data) {
+    if (data && typeof(data) === 'object' && !Object.isFrozen(data)) {
+        Object.freeze(data);
+        Object.keys(data).forEach(key => deepFreeze(data[key]));
+    }
+    return data;
+}
+
+/**
+ * Return a copy of the given data that can be changed without affecting
+ * the original. Unlike `JSUtils.deepCopy`, arrays stay arrays.
+ *
+ * @private
+ * @param {*} data the data to copy
+ * @returns {*} the copy
+ */
+export function copyData(data) {
+    if (Array.isArray(data)) {
+        return data.map(copyData);
+    }
+    if (data && typeof(data) === 'object') {
+        let copy = {};
+        Object.keys(data).forEach((key) => {
+            copy[key] = copyData(data[key]);
+        });
+        return copy;
+    }
+    return data;
+}
@@ -21,6 +21,7 @@ import log4js from '@log4js-node/log4js-api';
 import { top } from 'ilib-env';
 
 import LocaleData from './LocaleData.js';
+import { LocaleDataOptionsError } from './errors.js';
 
 /**
  * Return the locale data singleton for a package that needs data.
@@ -31,10 +32,11 @@ import LocaleData from './LocaleData.js';
  * @returns {LocaleData|undefined} a locale data instance you can use
  * to load locale data, or undefined if it could not be created
  * or if the package name was not specified
+ * @throws {LocaleDataOptionsError} if the options or the path are missing
  */
 function getLocaleData(options) {
     if (!options || !options.path) {
-        throw "Missing options to LocaleData constructor";
+        throw new LocaleDataOptionsError("Missing options to LocaleData constructor");
     }
 
     const { path } = options;
@@ -66,4 +68,11 @@ export function clearLocaleData() {
 }
 
 export { default as LocaleData } from './LocaleData.js';
+export {
+    LocaleDataError,
+    LocaleDataOptionsError,
+    SyncLoadUnavailableError,
+    LocaleDataParseError,
+    LocaleDataValidationError
+} from './errors.js';
 export default getLocaleData;
@@ -0,0 +1,165 @@
+/*
+ * paths.js - map locales to the paths of the locale data files in a root
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { Path } from 'ilib-common';
+import Locale from 'ilib-locale';
+
+/**
+ * Split the given locale spec into the spec of its base locale, which has the
+ * language, script, region and variants, and the keywords of its Unicode "-u-"
+ * extension. For example, "de-DE-u-co-phonebk" is split into "de-DE" and the
+ * keyword "co-phonebk". The keywords are lower-cased and sorted by key, and only
+ * the first value of a key is kept. Other extensions, such as "-t-" and private
+ * use "-x-" subtags, and the attributes of the "-u-" extension are not used for
+ * looking up data, so they are left out.
+ *
+ * @private
+ * @param {string} spec the spec of the locale
+ * @returns {{base: string, keywords: Array.<string>}} the spec of the base
+ * locale and the keywords, each given as a key followed by its type, such as
+ * "ca-japanese"
+ */
+export function splitExtensions(spec) {
+    const subtags = (spec || "").split("-");
+    // an extension starts with a single character subtag such as "u"
+    const start = subtags.findIndex((subtag, i) => i > 0 && subtag.length === 1);
+    if (start < 0) {
+        return { base: spec, keywords: [] };
+    }
+    let keywords = {};
+    let singleton, key;
+    subtags.slice(start).forEach((subtag) => {
+        // everything after "x" is private use
+        if (singleton === "x") return;
+        subtag = subtag.toLowerCase();
+        if (subtag.length === 1) {
+            singleton = subtag;
+            key = undefined;
+        } else if (singleton === "u") {
+            if (subtag.length === 2) {
+                key = keywords[subtag] ? undefined : subtag;
+                if (key) keywords[key] = [key];
+            } else if (key) {
+                keywords[key].push(subtag);
+            }
+        }
+    });
+    return {
+        base: subtags.slice(0, start).join("-"),
+        keywords: Object.keys(keywords).sort().map(key => keywords[key].join("-"))
+    };
+}
+
+/**
+ * Return the path relative to a root of the split file containing the data
+ * for the given basename in the given sublocale. For example, the data for
+ * "numfmt" in the sublocale "und-DE" is in "und/DE/numfmt.json", and the data
+ * for the root locale is in "numfmt.json". Variants are further directories,
+ * so the data for "ca-ES-valencia" is in "ca/ES/valencia/numfmt.json". The
+ * keywords of a Unicode "-u-" extension are kept together in one directory
+ * inside the directory of the base locale, so the data for "de-DE-u-co-phonebk"
+ * is in "de/DE/u-co-phonebk/numfmt.json".
+ *
+ * @private
+ * @param {string} spec the spec of the sublocale
+ * @param {string} fileName the name of the file, such as "numfmt.json"
+ * @returns {string} the relative path to the file
+ */
+export function getSplitPath(spec, fileName) {
+    if (!spec || spec === "root") return fileName;
+    const { base, keywords } = splitExtensions(spec);
+    const dir = base.replace(/-/g, "/");
+    return Path.join(keywords.length ? Path.join(dir, "u-" + keywords.join("-")) : dir, fileName);
+}
+
+/**
+ * Return true if the given name is the spec of a locale that an assembled
+ * locale data file such as "de-DE.js" could be named after, as opposed to
+ * the basename of a split file in the root locale such as "numfmt.json".
+ *
+ * @private
+ * @param {string} name the name to test, without the file name extension
+ * @returns {boolean} true if the name is a locale spec
+ */
+export function isLocaleSpec(name) {
+    if (name === "root" || name === "und") return true;
+    // ilib-locale does not consider the "und" language or regions that are
+    // groups of countries, such as "419" for Latin America, to be valid
+    const spec = (name.startsWith("und-") ? name.substring(4) : name).replace(/-[0-9]{3}$/, "");
+    return new Locale(spec).isValid();
+}
+
+/**
+ * Return the spec of the given locale in the form used in locale data paths
+ * and assembled files. Locales that only have a region, such as "DE", are
+ * given the "und" language so that their data is found in "und/DE".
+ *
+ * @private
+ * @param {string} spec the spec of the locale
+ * @returns {string} the normalized spec
+ */
+export function normalizeSpec(spec) {
+    if (spec === "root") return spec;
+    let loc = new Locale(spec);
+    if (!loc.getLanguage()) {
+        loc = new Locale("und", loc.getRegion(), loc.getVariant(), loc.getScript());
+    }
+    return loc.getSpec();
+}
+
+/**
+ * Work out what the locale data file with the given path relative to its
+ * root contains. A split file such as "de/DE/numfmt.json" contains the data
+ * for one basename in one sublocale, and so does a file at the top of the
+ * root such as "numfmt.json", which is in the root locale. An assembled file
+ * such as "de-DE.js" or "de-DE.json" at the top of the root contains the data
+ * for many basenames in the sublocales of a locale.
+ *
+ * @private
+ * @param {string} relativePath the path of the file relative to its root,
+ * with "/" as the separator
+ * @returns {Object|undefined} an object with the property "locale" giving
+ * the spec of the locale of the file, and either the property "basename" for
+ * split files or the property "assembled" set to true for assembled files.
+ * Returns undefined if the file is not a locale data file.
+ */
+export function parseDataPath(relativePath) {
+    const parts = relativePath.split("/");
+    const fileName = parts.pop();
+    const match = /^(.*)\.(json|js|mjs|cjs)$/.exec(fileName);
+    if (!match || fileName === "ilibmanifest.json" || fileName === "package.json") return undefined;
+    const name = match[1];
+
+    if (!parts.length) {
+        if (isLocaleSpec(name)) {
+            return {
+                locale: normalizeSpec(name),
+                assembled: true
+            };
+        }
+        return match[2] === "json" ? { locale: "root", basename: name } : undefined;
+    }
+
+    const spec = parts.join("-");
+    if (match[2] !== "json" || !isLocaleSpec(spec)) return undefined;
+    return {
+        locale: normalizeSpec(spec),
+        basename: name
+    };
+}
@@ -0,0 +1,83 @@
+/*
+ * fsUtils.js - file system utilities for the tests that run on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+let tempDirs = [];
+
+/**
+ * Remove the given directory and everything in it. This works on all of the
+ * versions of nodejs that the tests run on, including the ones that do not
+ * have fs.rmSync or do not support the recursive option to fs.rmdirSync.
+ *
+ * @param {string} dir the directory to remove
+ */
+export function removeDir(dir) {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir).forEach((name) => {
+        const fullPath = path.join(dir, name);
+        if (fs.lstatSync(fullPath).isDirectory()) {
+            removeDir(fullPath);
+        } else {
+            fs.unlinkSync(fullPath);
+        }
+    });
+    fs.rmdirSync(dir);
+}
+
+/**
+ * Make a new empty directory in the temporary directory of the operating
+ * system. The directory is removed again by `removeTempDirs`.
+ *
+ * @returns {string} the path to the new directory
+ */
+export function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ilib-localedata-"));
+    tempDirs.push(dir);
+    return dir;
+}
+
+/**
+ * Write the given files into the given directory, creating any
+ * subdirectories that they need.
+ *
+ * @param {string} dir the directory to write the files into
+ * @param {Object} files the contents of each file, keyed by the path of
+ * the file relative to the directory
+ * @returns {string} the directory
+ */
+export function writeFiles(dir, files) {
+    for (let file in files) {
+        const fullPath = path.join(dir, file);
+        fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+        fs.writeFileSync(fullPath, files[file], "utf-8");
+    }
+    return dir;
+}
+
+/**
+ * Remove all of the directories made by `makeTempDir`. Call this in the
+ * tearDown of each test file that makes temporary directories.
+ */
+export function removeTempDirs() {
+    tempDirs.forEach(removeDir);
+    tempDirs = [];
+}
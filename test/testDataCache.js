@@ -69,6 +69,133 @@ export const testDataCache = {
         test.done();
     },
 
+    testDataCacheGetPath: function(test) {
+        test.expect(3);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" }, "root/en/US/basename.json");
+        cache.storeData("root", "other", new Locale("en-US"), { x: "string" });
+
+        test.equal(cache.getPath("root", "basename", new Locale("en-US")), "root/en/US/basename.json");
+        test.equal(typeof(cache.getPath("root", "other", new Locale("en-US"))), 'undefined');
+
+        cache.removeData("root", "basename", new Locale("en-US"));
+        test.equal(typeof(cache.getPath("root", "basename", new Locale("en-US"))), 'undefined');
+
+        test.done();
+    },
+
+    testDataCacheHasData: function(test) {
+        test.expect(4);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), null);
+
+        test.ok(cache.hasData("root", "basename", new Locale("en-US")));
+        // known not to exist is still an item in the cache
+        test.ok(cache.hasData("root", "basename", new Locale("de-DE")));
+        test.ok(!cache.hasData("root", "other", new Locale("en-US")));
+        // checking does not count as a lookup
+        test.equal(cache.getStats().hits, 0);
+
+        test.done();
+    },
+
+    testDataCacheStoreDataFrozen: function(test) {
+        test.expect(3);
+        let cache = DataCache.getDataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: { y: ["string"] } });
+
+        const data = cache.getData("root", "basename", new Locale("en-US"));
+
+        test.ok(Object.isFrozen(data));
+        test.ok(Object.isFrozen(data.x));
+        test.ok(Object.isFrozen(data.x.y));
+
+        test.done();
+    },
+
+    testDataCacheStoreMergedData: function(test) {
+        test.expect(3);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeMergedData("key", { data: { x: "merged" } }, [
+            { root: "root", locale: new Locale("en"), basename: "basename" },
+            { root: "root", locale: new Locale("en-US"), basename: "basename" }
+        ]);
+
+        const entry = cache.getMergedData("key");
+        test.deepEqual(entry.data, { x: "merged" });
+        test.ok(Object.isFrozen(entry.data));
+        test.equal(cache.getStats().mergedHits, 1);
+
+        test.done();
+    },
+
+    testDataCacheStoreDataInvalidatesMergedData: function(test) {
+        test.expect(3);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeMergedData("key", { data: { x: "merged" } }, [
+            { root: "root", locale: new Locale("en"), basename: "basename" },
+            { root: "root", locale: new Locale("en-US"), basename: "basename" }
+        ]);
+
+        // not one of the dependencies
+        cache.storeData("root", "other", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de"), { x: "string" });
+        test.ok(cache.getMergedData("key"));
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        test.equal(typeof(cache.getMergedData("key")), 'undefined');
+        test.equal(cache.getStats().mergedEntries, 0);
+
+        test.done();
+    },
+
+    testDataCacheEvictionInvalidatesMergedData: function(test) {
+        test.expect(2);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeData("root", "basename", new Locale("en"), { x: "string" });
+        cache.storeMergedData("key", { data: { x: "merged" } }, [
+            { root: "root", locale: new Locale("en"), basename: "basename" }
+        ]);
+        test.ok(cache.getMergedData("key"));
+
+        cache.setLimits({ maxEntries: 1 });
+        cache.storeData("root", "basename", new Locale("de"), { x: "string" });
+        test.equal(typeof(cache.getMergedData("key")), 'undefined');
+
+        cache.setLimits({ maxEntries: 0 });
+        test.done();
+    },
+
+    testDataCacheClearMergedData: function(test) {
+        test.expect(2);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.storeData("root", "basename", new Locale("en"), { x: "string" });
+        cache.storeMergedData("key", { data: { x: "merged" } }, [
+            { root: "root", locale: new Locale("en"), basename: "basename" }
+        ]);
+        cache.clearMergedData();
+
+        test.equal(typeof(cache.getMergedData("key")), 'undefined');
+        // the data for each item is still there
+        test.ok(cache.getData("root", "basename", new Locale("en")));
+
+        test.done();
+    },
+
     testDataCacheClearData: function(test) {
         test.expect(2);
         let cache = DataCache.getDataCache();
@@ -432,6 +559,23 @@ export const testDataCache = {
         test.done();
     },
 
+    testDataCacheUnmarkFileAsLoaded: function(test) {
+        test.expect(2);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        cache.markFileAsLoaded("a");
+        cache.markFileAsLoaded("b", "./test/files", new Locale("de"));
+
+        cache.unmarkFileAsLoaded("a");
+        cache.unmarkFileAsLoaded("b");
+
+        test.ok(!cache.isLoaded("a"));
+        test.ok(!cache.isLoaded("b"));
+
+        test.done();
+    },
+
     testDataCachemarkFileAsLoadedEmpty: function(test) {
         test.expect(1);
         let cache = DataCache.getDataCache();
@@ -469,6 +613,569 @@ export const testDataCache = {
         test.ok(!cache.isLoaded(true));
         test.ok(!cache.isLoaded(function() { return true; }));
 
+        test.done();
+    },
+
+    testDataCacheStoreManifest: function(test) {
+        test.expect(3);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        test.equal(typeof(cache.getManifest("./locale")), 'undefined');
+
+        cache.storeManifest("./locale", new Set(["en/localeinfo.json"]));
+
+        const manifest = cache.getManifest("./locale");
+        test.ok(manifest);
+        test.ok(manifest.has("en/localeinfo.json"));
+
+        test.done();
+    },
+
+    testDataCacheStoreManifestNull: function(test) {
+        test.expect(1);
+        let cache = DataCache.getDataCache();
+        cache.clearData();
+
+        // null means the root has no manifest
+        cache.storeManifest("./locale", null);
+
+        test.equal(cache.getManifest("./locale"), null);
+
+        test.done();
+    },
+
+    testDataCacheStoreManifestClear: function(test) {
+        test.expect(2);
+        let cache = DataCache.getDataCache();
+
+        cache.storeManifest("./locale", new Set(["en/localeinfo.json"]));
+        test.ok(cache.getManifest("./locale"));
+
+        cache.clearData();
+
+        test.equal(typeof(cache.getManifest("./locale")), 'undefined');
+
+        test.done();
+    },
+
+    testDataCacheMaxEntriesEvictsLeastRecentlyUsed: function(test) {
+        test.expect(4);
+        let cache = new DataCache({ maxEntries: 2 });
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        // use en-US so that de-DE becomes the least recently used
+        cache.getData("root", "basename", new Locale("en-US"));
+
+        cache.storeData("root", "basename", new Locale("fr-FR"), { x: "fr-FR" });
+
+        test.equal(cache.size(), 2);
+        test.ok(cache.getData("root", "basename", new Locale("en-US")));
+        test.equal(typeof(cache.getData("root", "basename", new Locale("de-DE"))), 'undefined');
+        test.ok(cache.getData("root", "basename", new Locale("fr-FR")));
+
+        test.done();
+    },
+
+    testDataCacheMaxEntriesEvictsWholeLocale: function(test) {
+        test.expect(4);
+        let cache = new DataCache({ maxEntries: 3 });
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.storeData("root", "other", new Locale("en-US"), { y: "en-US" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("root", "basename", new Locale("fr-FR"), { x: "fr-FR" });
+
+        test.equal(cache.size(), 2);
+        test.equal(typeof(cache.getData("root", "basename", new Locale("en-US"))), 'undefined');
+        test.equal(typeof(cache.getData("root", "other", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("root", "basename", new Locale("de-DE")));
+
+        test.done();
+    },
+
+    testDataCacheMaxEntriesDifferentRoots: function(test) {
+        test.expect(3);
+        let cache = new DataCache({ maxEntries: 2 });
+
+        cache.storeData("root1", "basename", new Locale("en-US"), { x: "root1" });
+        cache.storeData("root2", "basename", new Locale("en-US"), { x: "root2" });
+        cache.storeData("root3", "basename", new Locale("en-US"), { x: "root3" });
+
+        test.equal(typeof(cache.getData("root1", "basename", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("root2", "basename", new Locale("en-US")));
+        test.ok(cache.getData("root3", "basename", new Locale("en-US")));
+
+        test.done();
+    },
+
+    testDataCacheByteSize: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        test.equal(cache.byteSize(), 0);
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        const size = cache.byteSize();
+        test.ok(size > 0);
+
+        cache.removeData("root", "basename", new Locale("en-US"));
+        test.equal(cache.byteSize(), 0);
+
+        test.done();
+    },
+
+    testDataCacheMaxBytes: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        const size = cache.byteSize();
+
+        cache = new DataCache({ maxBytes: size * 2 });
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("fr-FR"), { x: "string" });
+
+        test.ok(cache.byteSize() <= size * 2);
+        test.equal(typeof(cache.getData("root", "basename", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("root", "basename", new Locale("fr-FR")));
+
+        test.done();
+    },
+
+    testDataCacheSetLimitsEvictsRightAway: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("root", "basename", new Locale("fr-FR"), { x: "fr-FR" });
+        test.equal(cache.size(), 3);
+
+        cache.setLimits({ maxEntries: 1 });
+
+        test.equal(cache.size(), 1);
+        test.ok(cache.getData("root", "basename", new Locale("fr-FR")));
+
+        test.done();
+    },
+
+    testDataCacheSetMaxBytesMeasuresStoredData: function(test) {
+        test.expect(4);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("fr-FR"), { x: "string" });
+        // nothing is measured until it is needed
+        test.equal(cache.bytes, 0);
+        const size = cache.byteSize() / 3;
+
+        cache.setLimits({ maxBytes: size * 2 });
+
+        test.equal(cache.byteSize(), size * 2);
+        test.equal(typeof(cache.getData("root", "basename", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("root", "basename", new Locale("fr-FR")));
+
+        test.done();
+    },
+
+    testDataCacheSetLimitsZeroRemovesLimit: function(test) {
+        test.expect(1);
+        let cache = new DataCache({ maxEntries: 1 });
+        cache.setLimits({ maxEntries: 0 });
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        test.equal(cache.size(), 2);
+
+        test.done();
+    },
+
+    testDataCacheEvictionDropsLoadedMarkers: function(test) {
+        test.expect(4);
+        let cache = new DataCache({ maxEntries: 1 });
+
+        cache.markFileAsLoaded("locale/en/US/basename.json", "locale", new Locale("en-US"));
+        cache.storeData("locale", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.markFileAsLoaded("locale/other.json");
+        test.ok(cache.isLoaded("locale/en/US/basename.json"));
+
+        cache.storeData("locale", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        // the data can be loaded again
+        test.ok(!cache.isLoaded("locale/en/US/basename.json"));
+        test.equal(typeof(cache.getData("locale", "basename", new Locale("en-US"))), 'undefined');
+
+        // markers not associated with a locale are not affected
+        test.ok(cache.isLoaded("locale/other.json"));
+
+        test.done();
+    },
+
+    testDataCacheGetDataCacheWithLimits: function(test) {
+        test.expect(2);
+        let cache = DataCache.getDataCache({ maxEntries: 5 });
+
+        test.equal(cache.maxEntries, 5);
+        test.equal(DataCache.getDataCache(), cache);
+
+        // clean up
+        cache.setLimits({ maxEntries: 0 });
+        test.done();
+    },
+
+    testDataCacheStatsEmpty: function(test) {
+        test.expect(1);
+        let cache = new DataCache();
+
+        test.deepEqual(cache.getStats(), {
+            hits: 0,
+            misses: 0,
+            negatives: 0,
+            loaderCalls: 0,
+            mergedHits: 0,
+            byRoot: {},
+            byLocale: {},
+            byBasename: {},
+            loadedFiles: 0,
+            entries: 0,
+            negativeEntries: 0,
+            bytes: 0,
+            mergedEntries: 0
+        });
+
+        test.done();
+    },
+
+    testDataCacheStatsLookups: function(test) {
+        test.expect(7);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), null);
+
+        cache.getData("root", "basename", new Locale("en-US"));
+        cache.getData("root", "basename", new Locale("en-US"));
+        cache.getData("root", "basename", new Locale("de-DE"));
+        cache.getData("root", "basename", new Locale("fr-FR"));
+        cache.getData("other", "other", new Locale("en-US"));
+
+        const stats = cache.getStats();
+        test.equal(stats.hits, 2);
+        test.equal(stats.negatives, 1);
+        test.equal(stats.misses, 2);
+        test.deepEqual(stats.byRoot, {
+            "root": { hits: 2, misses: 1, negatives: 1 },
+            "other": { hits: 0, misses: 1, negatives: 0 }
+        });
+        test.deepEqual(stats.byLocale, {
+            "en-US": { hits: 2, misses: 1, negatives: 0 },
+            "de-DE": { hits: 0, misses: 0, negatives: 1 },
+            "fr-FR": { hits: 0, misses: 1, negatives: 0 }
+        });
+        test.deepEqual(stats.byBasename, {
+            "basename": { hits: 2, misses: 1, negatives: 1 },
+            "other": { hits: 0, misses: 1, negatives: 0 }
+        });
+        test.equal(stats.negativeEntries, 1);
+
+        test.done();
+    },
+
+    testDataCacheStatsLoaded: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        cache.recordLoaderCall();
+        cache.markFileAsLoaded("a/b.json");
+        cache.markFileAsLoaded("a/c.json");
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+
+        const stats = cache.getStats();
+        test.equal(stats.loaderCalls, 1);
+        test.equal(stats.loadedFiles, 2);
+        test.equal(stats.entries, 1);
+
+        test.done();
+    },
+
+    testDataCacheStatsAreACopy: function(test) {
+        test.expect(1);
+        let cache = new DataCache();
+
+        cache.getData("root", "basename", new Locale("en-US"));
+        const stats = cache.getStats();
+        stats.byRoot.root.misses = 20;
+
+        test.equal(cache.getStats().byRoot.root.misses, 1);
+
+        test.done();
+    },
+
+    testDataCacheResetStats: function(test) {
+        test.expect(4);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.getData("root", "basename", new Locale("en-US"));
+        cache.recordLoaderCall();
+
+        cache.resetStats();
+
+        const stats = cache.getStats();
+        test.equal(stats.hits, 0);
+        test.equal(stats.loaderCalls, 0);
+        test.deepEqual(stats.byRoot, {});
+
+        // the data itself is still there
+        test.equal(stats.entries, 1);
+
+        test.done();
+    },
+
+    testDataCacheEntries: function(test) {
+        test.expect(1);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), null);
+        cache.storeData("other", "basename", undefined, { y: "string" });
+
+        test.deepEqual(Array.from(cache.entries()), [
+            { root: "root", locale: "en-US", basename: "basename", data: { x: "string" } },
+            { root: "root", locale: "de-DE", basename: "basename", data: null },
+            { root: "other", locale: "root", basename: "basename", data: { y: "string" } }
+        ]);
+
+        test.done();
+    },
+
+    testDataCacheEntriesSkipsRemoved: function(test) {
+        test.expect(1);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "other", new Locale("en-US"), { y: "string" });
+        cache.removeData("root", "basename", new Locale("en-US"));
+
+        test.deepEqual(Array.from(cache.entries()), [
+            { root: "root", locale: "en-US", basename: "other", data: { y: "string" } }
+        ]);
+
+        test.done();
+    },
+
+    testDataCacheIterable: function(test) {
+        test.expect(2);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("root", "basename", new Locale("de-DE"), { x: "string" });
+
+        let locales = [];
+        for (let entry of cache) {
+            locales.push(entry.locale);
+        }
+        test.deepEqual(locales, ["en-US", "de-DE"]);
+
+        // iterating does not count as a lookup
+        test.equal(cache.getStats().hits, 0);
+
+        test.done();
+    },
+
+    testDataCacheStoreDataOverrideNullRightSize: function(test) {
+        test.expect(2);
+        let cache = new DataCache();
+
+        cache.storeData("root", "basename", new Locale("en-US"), null);
+        cache.storeData("root", "basename", new Locale("en-US"), { x: "string" });
+        test.equal(cache.size(), 1);
+
+        cache.removeData("root", "basename", new Locale("en-US"));
+        test.equal(cache.size(), 0);
+
+        test.done();
+    },
+
+    testDataCacheInvalidateRoot: function(test) {
+        test.expect(7);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeData("a/b", "other", new Locale("de"), { x: "string" });
+        cache.storeData("c/d", "basename", new Locale("en-US"), { x: "string" });
+        cache.storeManifest("a/b", new Set(["en/US/basename.json"]));
+        cache.markFileAsLoaded("a/b/en/US/basename.json", "a/b", new Locale("en-US"));
+        cache.markFileAsLoaded("a/b/de-DE.js");
+
+        test.equal(cache.invalidate({ root: "a/b" }), 2);
+
+        test.equal(cache.size(), 1);
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("c/d", "basename", new Locale("en-US")));
+        test.equal(typeof(cache.getManifest("a/b")), 'undefined');
+        test.ok(!cache.isLoaded("a/b/en/US/basename.json"));
+        test.ok(!cache.isLoaded("a/b/de-DE.js"));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocale: function(test) {
+        test.expect(7);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", undefined, { x: "root" });
+        cache.storeData("a/b", "basename", new Locale("de"), { x: "de" });
+        cache.storeData("a/b", "basename", new Locale("und-DE"), null);
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("c/d", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("a/b", "basename", new Locale("en-US"), { x: "en-US" });
+
+        test.equal(cache.invalidate({ locale: "de-DE" }), 2);
+
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de-DE"))), 'undefined');
+        test.equal(typeof(cache.getData("c/d", "basename", new Locale("de-DE"))), 'undefined');
+        test.ok(cache.getData("a/b", "basename", new Locale("en-US")));
+
+        // the sublocales are shared with other locales, so they stay
+        test.deepEqual(cache.getData("a/b", "basename", undefined), { x: "root" });
+        test.deepEqual(cache.getData("a/b", "basename", new Locale("de")), { x: "de" });
+        test.strictEqual(cache.getData("a/b", "basename", new Locale("und-DE")), null);
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocaleInRoot: function(test) {
+        test.expect(2);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("c/d", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        cache.invalidate({ root: "a/b", locale: new Locale("de-DE") });
+
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de-DE"))), 'undefined');
+        test.ok(cache.getData("c/d", "basename", new Locale("de-DE")));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateBasename: function(test) {
+        test.expect(6);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("a/b", "other", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("c/d", "basename", new Locale("en-US"), { x: "en-US" });
+        cache.markFileAsLoaded("a/b/de/DE/basename.json", "a/b", new Locale("de-DE"));
+        cache.markFileAsLoaded("c/d/en/US/basename.json", "c/d", new Locale("en-US"));
+
+        test.equal(cache.invalidate({ basename: "basename" }), 2);
+
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de-DE"))), 'undefined');
+        test.equal(typeof(cache.getData("c/d", "basename", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("a/b", "other", new Locale("de-DE")));
+        test.ok(!cache.isLoaded("a/b/de/DE/basename.json"));
+        test.ok(!cache.isLoaded("c/d/en/US/basename.json"));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateNothing: function(test) {
+        test.expect(2);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        test.equal(cache.invalidate(), 0);
+        test.equal(cache.size(), 1);
+
+        test.done();
+    },
+
+    testDataCacheStoreDataWorldRegion: function(test) {
+        test.expect(2);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", undefined, { x: "root" });
+        cache.storeData("a/b", "basename", new Locale("en-001"), { x: "en-001" });
+
+        // a language with the world region is not the root locale
+        test.deepEqual(cache.getData("a/b", "basename", undefined), { x: "root" });
+        test.deepEqual(cache.getData("a/b", "basename", new Locale("en-001")), { x: "en-001" });
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocaleKeepsParent: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", undefined, { x: "root" });
+        cache.storeData("a/b", "basename", new Locale("pt-PT"), { x: "pt-PT" });
+        cache.storeData("a/b", "basename", new Locale("pt-AO"), { x: "pt-AO" });
+
+        // pt-PT is the parent of pt-AO, but pt-PT and the root have their own users
+        test.equal(cache.invalidate({ locale: "pt-AO" }), 1);
+        test.ok(cache.getData("a/b", "basename", new Locale("pt-PT")));
+        test.ok(cache.getData("a/b", "basename", undefined));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocaleRemovesMoreSpecific: function(test) {
+        test.expect(6);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", undefined, { x: "root" });
+        cache.storeData("a/b", "basename", new Locale("de"), { x: "de" });
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+        cache.storeData("a/b", "basename", new Locale("de-AT"), { x: "de-AT" });
+        cache.storeData("a/b", "basename", new Locale("fr-FR"), { x: "fr-FR" });
+
+        // de-DE and de-AT are built on top of the data for de
+        test.equal(cache.invalidate({ locale: "de" }), 3);
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de"))), 'undefined');
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de-DE"))), 'undefined');
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de-AT"))), 'undefined');
+        test.ok(cache.getData("a/b", "basename", new Locale("fr-FR")));
+        test.ok(cache.getData("a/b", "basename", undefined));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocaleRemovesChildLocales: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("pt-PT"), { x: "pt-PT" });
+        cache.storeData("a/b", "basename", new Locale("pt-AO"), { x: "pt-AO" });
+        cache.storeData("a/b", "basename", new Locale("pt-BR"), { x: "pt-BR" });
+
+        // pt-AO falls back to pt-PT, even though its spec does not start with it
+        test.equal(cache.invalidate({ locale: "pt-PT" }), 2);
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("pt-AO"))), 'undefined');
+        test.ok(cache.getData("a/b", "basename", new Locale("pt-BR")));
+
+        test.done();
+    },
+
+    testDataCacheInvalidateLocaleExact: function(test) {
+        test.expect(3);
+        let cache = new DataCache();
+
+        cache.storeData("a/b", "basename", new Locale("de"), { x: "de" });
+        cache.storeData("a/b", "basename", new Locale("de-DE"), { x: "de-DE" });
+
+        test.equal(cache.invalidate({ locale: "de", exact: true }), 1);
+        test.equal(typeof(cache.getData("a/b", "basename", new Locale("de"))), 'undefined');
+        test.ok(cache.getData("a/b", "basename", new Locale("de-DE")));
+
         test.done();
     }
 };
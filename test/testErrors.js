@@ -0,0 +1,94 @@
+/*
+ * testErrors.js - test the errors thrown by this package
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import {
+    LocaleDataError,
+    LocaleDataOptionsError,
+    SyncLoadUnavailableError,
+    LocaleDataParseError,
+    LocaleDataValidationError
+} from '../src/index.js';
+
+export const testErrors = {
+    testLocaleDataError: function(test) {
+        test.expect(4);
+        const e = new LocaleDataError("message");
+        test.ok(e instanceof Error);
+        test.equal(e.name, "LocaleDataError");
+        test.equal(e.message, "message");
+        test.ok(e.stack);
+        test.done();
+    },
+
+    testLocaleDataOptionsError: function(test) {
+        test.expect(3);
+        const e = new LocaleDataOptionsError("bad options");
+        test.ok(e instanceof LocaleDataError);
+        test.equal(e.name, "LocaleDataOptionsError");
+        test.equal(e.message, "bad options");
+        test.done();
+    },
+
+    testSyncLoadUnavailableError: function(test) {
+        test.expect(4);
+        const e = new SyncLoadUnavailableError("not available", {
+            locale: "de-DE",
+            basename: "info"
+        });
+        test.ok(e instanceof LocaleDataError);
+        test.equal(e.name, "SyncLoadUnavailableError");
+        test.equal(e.locale, "de-DE");
+        test.equal(e.basename, "info");
+        test.done();
+    },
+
+    testLocaleDataParseError: function(test) {
+        test.expect(5);
+        const cause = new SyntaxError("bad json");
+        const e = new LocaleDataParseError("could not parse", {
+            path: "locale/de/info.json",
+            root: "locale",
+            cause
+        });
+        test.ok(e instanceof LocaleDataError);
+        test.equal(e.name, "LocaleDataParseError");
+        test.equal(e.path, "locale/de/info.json");
+        test.equal(e.root, "locale");
+        test.equal(e.cause, cause);
+        test.done();
+    },
+
+    testLocaleDataValidationError: function(test) {
+        test.expect(6);
+        const e = new LocaleDataValidationError("invalid", {
+            path: "locale/de/numfmt.json",
+            root: "locale",
+            locale: "de",
+            basename: "numfmt",
+            problems: ["/decimalChar: expected string but found number"]
+        });
+        test.ok(e instanceof LocaleDataError);
+        test.equal(e.name, "LocaleDataValidationError");
+        test.equal(e.path, "locale/de/numfmt.json");
+        test.equal(e.locale, "de");
+        test.equal(e.basename, "numfmt");
+        test.deepEqual(e.problems, ["/decimalChar: expected string but found number"]);
+        test.done();
+    }
+};
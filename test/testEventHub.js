@@ -0,0 +1,113 @@
+/*
+ * testEventHub.js - test the locale data event hub
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import EventHub from '../src/EventHub.js';
+
+export const testEventHub = {
+    testEventHubGetEventHub: function(test) {
+        test.expect(2);
+        const hub = EventHub.getEventHub();
+        test.ok(hub);
+        // singleton
+        test.equal(EventHub.getEventHub(), hub);
+        test.done();
+    },
+
+    testEventHubOnEmit: function(test) {
+        test.expect(2);
+        const hub = new EventHub();
+        let received = [];
+        hub.on("fileLoaded", info => received.push(info));
+
+        hub.emit("fileLoaded", { path: "a" });
+        hub.emit("fileMissing", { path: "b" });
+
+        test.equal(received.length, 1);
+        test.deepEqual(received[0], { path: "a" });
+        test.done();
+    },
+
+    testEventHubOff: function(test) {
+        test.expect(1);
+        const hub = new EventHub();
+        let count = 0;
+        const listener = () => count++;
+        hub.on("cacheHit", listener);
+        hub.emit("cacheHit", {});
+        hub.off("cacheHit", listener);
+        hub.emit("cacheHit", {});
+
+        test.equal(count, 1);
+        test.done();
+    },
+
+    testEventHubOffAll: function(test) {
+        test.expect(2);
+        const hub = new EventHub();
+        let count = 0;
+        hub.on("cacheHit", () => count++);
+        hub.on("cacheHit", () => count++);
+        hub.off("cacheHit");
+        hub.emit("cacheHit", {});
+
+        test.equal(count, 0);
+        test.ok(!hub.hasListeners("cacheHit"));
+        test.done();
+    },
+
+    testEventHubOnce: function(test) {
+        test.expect(2);
+        const hub = new EventHub();
+        let count = 0;
+        hub.once("cacheStore", () => count++);
+        hub.emit("cacheStore", {});
+        hub.emit("cacheStore", {});
+
+        test.equal(count, 1);
+        test.ok(!hub.hasListeners("cacheStore"));
+        test.done();
+    },
+
+    testEventHubOffOnceListener: function(test) {
+        test.expect(1);
+        const hub = new EventHub();
+        let count = 0;
+        const listener = () => count++;
+        hub.once("cacheStore", listener);
+        hub.off("cacheStore", listener);
+        hub.emit("cacheStore", {});
+
+        test.equal(count, 0);
+        test.done();
+    },
+
+    testEventHubListenerThrows: function(test) {
+        test.expect(1);
+        const hub = new EventHub();
+        let count = 0;
+        hub.on("loadStart", () => { throw "oops"; });
+        hub.on("loadStart", () => count++);
+
+        // should not throw, and the other listeners are still called
+        hub.emit("loadStart", {});
+
+        test.equal(count, 1);
+        test.done();
+    }
+};
@@ -0,0 +1,168 @@
+/*
+ * testFallbackRegistry.js - test the registry of locale fallback chains
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import FallbackRegistry from '../src/FallbackRegistry.js';
+
+export const testFallbackRegistry = {
+    tearDown: function(callback) {
+        FallbackRegistry.getFallbackRegistry().reset();
+        callback();
+    },
+
+    testFallbackRegistryIsGlobal: function(test) {
+        test.expect(1);
+        test.equal(FallbackRegistry.getFallbackRegistry(), FallbackRegistry.getFallbackRegistry());
+        test.done();
+    },
+
+    testFallbackRegistryNoParent: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("de-DE"), ["root", "de", "und-DE", "de-DE"]);
+        test.done();
+    },
+
+    testFallbackRegistryCLDRParent: function(test) {
+        test.expect(2);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.equal(registry.getParent("pt-AO"), "pt-PT");
+        // und-PT is left out because it is about Portugal, not Angola
+        test.deepEqual(registry.getChain("pt-AO"), ["root", "pt", "pt-PT", "und-AO", "pt-AO"]);
+        test.done();
+    },
+
+    testFallbackRegistryCLDRParentRegionGroup: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("es-MX"), ["root", "es", "es-419", "und-MX", "es-MX"]);
+        test.done();
+    },
+
+    testFallbackRegistryCLDRParentMultipleLevels: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("en-AT"), ["root", "en", "en-001", "en-150", "und-AT", "en-AT"]);
+        test.done();
+    },
+
+    testFallbackRegistryCLDRParentWithScript: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("zh-Hant-MO"), [
+            "root", "zh", "zh-Hant", "zh-HK", "zh-Hant-HK", "und-MO", "zh-MO", "zh-Hant-MO"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistryCLDRParentLikelyScript: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        // expanded with likely subtags, it still uses the parent of es-MX
+        test.deepEqual(registry.getChain("es-Latn-MX"), [
+            "root", "es", "es-419", "und-MX", "es-Latn", "es-MX", "es-Latn-MX"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistrySetParent: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        registry.setParent("de-IT", "de-AT");
+        test.deepEqual(registry.getChain("de-IT"), ["root", "de", "de-AT", "und-IT", "de-IT"]);
+        test.done();
+    },
+
+    testFallbackRegistryRemoveParent: function(test) {
+        test.expect(2);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        registry.setParent("pt-AO", undefined);
+        test.equal(typeof(registry.getParent("pt-AO")), 'undefined');
+        test.deepEqual(registry.getChain("pt-AO"), ["root", "pt", "und-AO", "pt-AO"]);
+        test.done();
+    },
+
+    testFallbackRegistryReset: function(test) {
+        test.expect(2);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        registry.setParent("pt-AO", undefined);
+        registry.setParent("de-IT", "de-AT");
+        registry.reset();
+        test.equal(registry.getParent("pt-AO"), "pt-PT");
+        test.equal(typeof(registry.getParent("de-IT")), 'undefined');
+        test.done();
+    },
+
+    testFallbackRegistryLoop: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        registry.setParent("pt-PT", "pt-AO");
+        // the loop is broken at the locale that was already visited
+        test.deepEqual(registry.getChain("pt-AO"), ["root", "pt", "pt-PT", "und-AO", "pt-AO"]);
+        test.done();
+    },
+
+    testFallbackRegistryVariant: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("ca-ES-valencia"), [
+            "root", "ca", "und-ES", "ca-ES", "ca-valencia", "und-ES-valencia", "ca-ES-valencia"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistryUnicodeExtension: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        // the overlays come after the whole chain of the base locale
+        test.deepEqual(registry.getChain("de-DE-u-co-phonebk"), [
+            "root", "de", "und-DE", "de-DE", "de-u-co-phonebk", "und-DE-u-co-phonebk", "de-DE-u-co-phonebk"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistryUnicodeExtensionMultipleKeywords: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        // sorted by key
+        test.deepEqual(registry.getChain("ja-JP-u-nu-jpan-ca-japanese"), [
+            "root", "ja", "und-JP", "ja-JP",
+            "ja-u-ca-japanese", "und-JP-u-ca-japanese", "ja-JP-u-ca-japanese",
+            "ja-u-nu-jpan", "und-JP-u-nu-jpan", "ja-JP-u-nu-jpan"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistryUnicodeExtensionWithParent: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        test.deepEqual(registry.getChain("es-MX-u-ca-buddhist"), [
+            "root", "es", "es-419", "und-MX", "es-MX",
+            "es-u-ca-buddhist", "es-419-u-ca-buddhist", "und-MX-u-ca-buddhist", "es-MX-u-ca-buddhist"
+        ]);
+        test.done();
+    },
+
+    testFallbackRegistryOtherExtensionsIgnored: function(test) {
+        test.expect(1);
+        const registry = FallbackRegistry.getFallbackRegistry();
+        // private use subtags are not a -u- extension, even if they look like one
+        test.deepEqual(registry.getChain("en-US-x-foo-u-ca-roc"), ["root", "en", "und-US", "en-US"]);
+        test.done();
+    }
+};
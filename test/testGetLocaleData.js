@@ -21,7 +21,7 @@ import { setPlatform, getPlatform } from 'ilib-env';
 import { registerLoader } from 'ilib-loader';
 
 import MockLoader from './MockLoader.js';
-import getLocaleData, { clearLocaleData } from '../src/index.js';
+import getLocaleData, { clearLocaleData, LocaleDataOptionsError } from '../src/index.js';
 
 export const testGetLocaleData = {
     testGetLocaleData: function(test) {
@@ -47,7 +47,7 @@ export const testGetLocaleData = {
         test.expect(1);
         test.throws(() => {
             getLocaleData();
-        });
+        }, LocaleDataOptionsError);
         test.done();
     },
 
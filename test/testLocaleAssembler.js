@@ -0,0 +1,270 @@
+/*
+ * testLocaleAssembler.js - test assembling locale data files on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+import { setPlatform } from 'ilib-env';
+import { Utils } from 'ilib-common';
+import Locale from 'ilib-locale';
+
+import LocaleAssembler from '../src/LocaleAssembler.js';
+import LocaleData from '../src/LocaleData.js';
+import DataCache from '../src/DataCache.js';
+import { LocaleDataOptionsError } from '../src/errors.js';
+import { makeTempDir, removeTempDirs } from './fsUtils.js';
+
+export const testLocaleAssembler = {
+    tearDown: function(callback) {
+        removeTempDirs();
+        callback();
+    },
+
+    testLocaleAssemblerConstructor: function(test) {
+        test.expect(1);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"]
+        });
+        test.ok(assembler);
+        test.done();
+    },
+
+    testLocaleAssemblerConstructorMissingOptions: function(test) {
+        test.expect(3);
+        test.throws(() => {
+            new LocaleAssembler({ locales: ["ja-JP"] });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            new LocaleAssembler({ roots: ["./test/files"] });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            new LocaleAssembler({ roots: ["./test/files"], locales: ["ja-JP"], format: "yaml" });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleAssemblerAssemble: function(test) {
+        test.expect(4);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            basenames: ["tester"]
+        });
+        const actual = assembler.assemble("ja-JP");
+
+        test.deepEqual(Object.keys(actual), Utils.getSublocales("ja-JP"));
+        test.deepEqual(actual.ja, {
+            tester: {
+                "a": "b ja",
+                "c": "d ja",
+                "x": {
+                    "m": "n ja",
+                    "o": "p ja"
+                }
+            }
+        });
+        // no data for this sublocale
+        test.deepEqual(actual["und-JP"], {});
+        test.deepEqual(Object.keys(actual.root), ["tester"]);
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleAllBasenames: function(test) {
+        test.expect(2);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["en-US"]
+        });
+        const actual = assembler.assemble("en-US");
+
+        test.deepEqual(Object.keys(actual.root), ["arrays", "merge2", "merge3", "tester"]);
+        test.deepEqual(Object.keys(actual["en-US"]), ["arrays", "merge", "tester"]);
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleSparse: function(test) {
+        test.expect(1);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            basenames: ["tester"],
+            sparse: true
+        });
+
+        test.deepEqual(Object.keys(assembler.assemble("ja-JP")), ["root", "ja", "ja-JP"]);
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleRootPrecedence: function(test) {
+        test.expect(2);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files2", "./test/files"],
+            locales: ["ja-JP"],
+            basenames: ["tester"]
+        });
+        const actual = assembler.assemble("ja-JP");
+
+        // from files2 which comes first
+        test.equal(actual["ja-JP"].tester.a, "b ja-JP from files2");
+        // only in files
+        test.equal(actual.ja.tester.a, "b ja");
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleSkipsAssembledFiles: function(test) {
+        test.expect(1);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files3"],
+            locales: ["ja-JP"]
+        });
+
+        // ja-JP.json and zh-Hans-CN.json are assembled files, not basenames
+        test.deepEqual(assembler.assemble("ja-JP").root, {});
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleRegionOnly: function(test) {
+        test.expect(1);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["JP"]
+        });
+
+        test.deepEqual(Object.keys(assembler.assemble("JP")), ["root", "und", "und-JP"]);
+        test.done();
+    },
+
+    testLocaleAssemblerAssembleUnicodeExtension: function(test) {
+        test.expect(2);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files9"],
+            locales: ["de-DE-u-co-phonebk"],
+            sparse: true
+        });
+        const actual = assembler.assemble("de-DE-u-co-phonebk");
+
+        test.deepEqual(Object.keys(actual), ["root", "de", "de-DE", "de-u-co-phonebk", "de-DE-u-co-phonebk"]);
+        test.deepEqual(actual["de-DE-u-co-phonebk"], {
+            tester: {
+                "e": "e de-DE-u-co-phonebk"
+            }
+        });
+        test.done();
+    },
+
+    testLocaleAssemblerSerializeESM: function(test) {
+        test.expect(1);
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            format: "esm"
+        });
+
+        test.equal(assembler.serialize({ "ja": { "a": "b" } }),
+            'export default function getLocaleData() {\n' +
+            '    return {\n' +
+            '        "ja": {\n' +
+            '            "a": "b"\n' +
+            '        }\n' +
+            '    };\n' +
+            '};\n');
+        test.done();
+    },
+
+    testLocaleAssemblerWrite: function(test) {
+        test.expect(3);
+        const outputDir = makeTempDir();
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP", "en-US"],
+            outputDir
+        });
+        const written = assembler.write();
+
+        test.deepEqual(written, [
+            path.join(outputDir, "ja-JP.json"),
+            path.join(outputDir, "en-US.json")
+        ]);
+        const data = JSON.parse(fs.readFileSync(written[0], "utf-8"));
+        test.equal(data["ja-JP"].tester.a, "b ja-JP");
+        test.deepEqual(data, assembler.assemble("ja-JP"));
+        test.done();
+    },
+
+    testLocaleAssemblerWriteLoadWithEnsureLocale: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const outputDir = makeTempDir();
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            basenames: ["tester"],
+            format: "cjs",
+            outputDir
+        });
+        assembler.write();
+        // so that node loads the js file as a commonjs module
+        fs.writeFileSync(path.join(outputDir, "package.json"), '{"type": "commonjs"}', "utf-8");
+
+        LocaleData.ensureLocale("ja-JP", [outputDir]).then((result) => {
+            test.ok(result);
+            const cache = DataCache.getDataCache();
+            test.deepEqual(cache.getData(outputDir, "tester", new Locale("ja")), {
+                "a": "b ja",
+                "c": "d ja",
+                "x": {
+                    "m": "n ja",
+                    "o": "p ja"
+                }
+            });
+            LocaleData.clearCache();
+            test.done();
+        });
+    },
+
+    testLocaleAssemblerCommand: function(test) {
+        test.expect(3);
+        const outputDir = makeTempDir();
+
+        const result = spawnSync(process.execPath, [
+            "bin/ilib-assemble.js",
+            "--locales", "ja-JP,en-US",
+            "--format=esm",
+            "--output", outputDir,
+            "./test/files"
+        ]);
+        test.equal(result.status, 0);
+        test.ok(fs.existsSync(path.join(outputDir, "ja-JP.js")));
+        test.ok(fs.existsSync(path.join(outputDir, "en-US.js")));
+        test.done();
+    },
+
+    testLocaleAssemblerCommandNoLocales: function(test) {
+        test.expect(1);
+        const result = spawnSync(process.execPath, ["bin/ilib-assemble.js", "./test/files"]);
+        test.equal(result.status, 2);
+        test.done();
+    }
+};
@@ -22,6 +22,7 @@ import { registerLoader } from 'ilib-loader';
 
 import MockLoader from './MockLoader.js';
 import LocaleData from '../src/LocaleData.js';
+import { LocaleDataOptionsError, SyncLoadUnavailableError } from '../src/errors.js';
 
 export const testLocaleData = {
     testLocaleDataConstructor: function(test) {
@@ -40,7 +41,7 @@ export const testLocaleData = {
             new LocaleData({
                 name: "test"
             });
-        });
+        }, LocaleDataOptionsError);
         test.done();
     },
 
@@ -72,6 +73,45 @@ export const testLocaleData = {
         test.done();
     },
 
+    testLocaleDataNoCacheSyncLoaderDoesntSupportSync: function(test) {
+        test.expect(1);
+        registerLoader(MockLoader);
+        setPlatform("mock");
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            useCache: false
+        });
+
+        LocaleData.cacheData({
+            "fr-FR": {
+                "localeinfo": {
+                    "a": "b"
+                }
+            }
+        }, "./test/files");
+
+        // even though the data is in the cache, this instance does not
+        // use it and the loader cannot load it synchronously
+        test.throws(() => {
+            locData.loadData({
+                basename: "localeinfo",
+                locale: "fr-FR",
+                sync: true
+            });
+        }, function(e) {
+            return e instanceof SyncLoadUnavailableError && e.locale === "fr-FR" && e.basename === "localeinfo";
+        });
+
+        // clean up
+        setPlatform(undefined);
+        LocaleData.clearCache();
+
+        test.done();
+    },
+
     testLocaleDataGetGlobalRootsEmpty: function(test) {
         setPlatform();
         test.expect(1);
@@ -575,7 +615,7 @@ export const testLocaleData = {
             LocaleData.ensureLocale(true).then(result => {
                 test.fail();
             });
-        });
+        }, LocaleDataOptionsError);
         test.done();
     },
 
@@ -704,5 +744,83 @@ export const testLocaleData = {
             });
             test.done();
         });
+    },
+
+    testLocaleDataGetFallbackChain: function(test) {
+        test.expect(2);
+        test.deepEqual(LocaleData.getFallbackChain("de-DE"), ["root", "de", "und-DE", "de-DE"]);
+        test.deepEqual(LocaleData.getFallbackChain("pt-AO"), ["root", "pt", "pt-PT", "und-AO", "pt-AO"]);
+        test.done();
+    },
+
+    testLocaleDataGetFallbackChainRegionOnly: function(test) {
+        test.expect(1);
+        test.deepEqual(LocaleData.getFallbackChain("JP"), ["root", "und", "und-JP"]);
+        test.done();
+    },
+
+    testLocaleDataGetFallbackChainUnicodeExtension: function(test) {
+        test.expect(1);
+        test.deepEqual(LocaleData.getFallbackChain("de-DE-u-co-phonebk"), [
+            "root", "de", "und-DE", "de-DE", "de-u-co-phonebk", "und-DE-u-co-phonebk", "de-DE-u-co-phonebk"
+        ]);
+        test.done();
+    },
+
+    testLocaleDataGetFallbackChainBadParam: function(test) {
+        test.expect(1);
+        test.throws(() => {
+            LocaleData.getFallbackChain(3);
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleDataSetParentLocale: function(test) {
+        test.expect(2);
+        LocaleData.setParentLocale("de-IT", "de-AT");
+        test.deepEqual(LocaleData.getFallbackChain("de-IT"), ["root", "de", "de-AT", "und-IT", "de-IT"]);
+
+        LocaleData.setParentLocale("de-IT");
+        test.deepEqual(LocaleData.getFallbackChain("de-IT"), ["root", "de", "und-IT", "de-IT"]);
+        test.done();
+    },
+
+    testLocaleDataSetParentLocaleBadParams: function(test) {
+        test.expect(2);
+        test.throws(() => {
+            LocaleData.setParentLocale(undefined, "de-AT");
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            LocaleData.setParentLocale("de-AT", "de-AT");
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleDataResetParentLocales: function(test) {
+        test.expect(1);
+        LocaleData.setParentLocale("pt-AO");
+        LocaleData.resetParentLocales();
+        test.deepEqual(LocaleData.getFallbackChain("pt-AO"), ["root", "pt", "pt-PT", "und-AO", "pt-AO"]);
+        test.done();
+    },
+
+    testLocaleDataCheckCacheParentLocale: function(test) {
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.addGlobalRoot("./test/files8");
+
+        test.ok(!LocaleData.checkCache("pt-AO", "tester"));
+        LocaleData.cacheData({
+            "pt-PT": {
+                "tester": { "c": "c pt-PT" }
+            }
+        }, "./test/files8");
+        // the parent is in the chain of pt-AO
+        test.ok(LocaleData.checkCache("pt-AO", "tester"));
+
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        test.done();
     }
 };
@@ -18,8 +18,30 @@
  */
 
 import { setPlatform } from 'ilib-env';
+import LoaderFactory from 'ilib-loader';
+import Locale from 'ilib-locale';
 
 import LocaleData from '../src/LocaleData.js';
+import DataCache from '../src/DataCache.js';
+import { LocaleDataOptionsError, LocaleDataParseError, LocaleDataValidationError } from '../src/errors.js';
+
+const testerSchema = {
+    type: "object",
+    properties: {
+        a: { type: "string" },
+        c: { type: "string" },
+        x: {
+            type: "object",
+            properties: {
+                m: { type: "string" },
+                o: { type: "string" }
+            },
+            additionalProperties: false
+        }
+    },
+    required: ["a", "c"],
+    additionalProperties: false
+};
 
 export const testLocaleDataNode = {
     testLocaleDataNodeSyncRoot: function(test) {
@@ -374,6 +396,40 @@ export const testLocaleDataNode = {
         test.done();
     },
 
+    testLocaleDataCacheDataCopies: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        let data = {
+            "de-DE": {
+                "tester": {
+                    "a": "b de-DE"
+                }
+            }
+        };
+        LocaleData.cacheData(data, "./test/files");
+
+        // the caller's object is not frozen along with the cached data
+        test.ok(!Object.isFrozen(data["de-DE"].tester));
+        data["de-DE"].tester.a = "changed";
+        test.equal(data["de-DE"].tester.a, "changed");
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "de-DE",
+            mostSpecific: true
+        }).a, "b de-DE");
+        test.done();
+    },
+
     testLocaleDataCheckCache: function(test) {
         setPlatform();
 
@@ -1105,6 +1161,2894 @@ export const testLocaleDataNode = {
             });
             test.done();
         });
-    }
+    },
+
+    testLocaleDataNodeSyncManifest: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: true
+        });
+
+        test.ok(locData);
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.deepEqual(actual, {
+            "a": "b en files6",
+            "c": "d en-US files6"
+        });
+
+        const manifest = DataCache.getDataCache().getManifest("./test/files6");
+        test.ok(manifest.has("en/US/tester.json"));
+        test.done();
+    },
+
+    testLocaleDataNodeSyncManifestSkipsUnlistedFiles: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: true
+        });
+
+        test.ok(locData);
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        });
+
+        // the de/tester.json file exists, but is not in the manifest
+        test.deepEqual(actual, {
+            "a": "b files6",
+            "c": "d files6"
+        });
+
+        const cache = DataCache.getDataCache();
+        test.ok(!cache.isLoaded("test/files6/de/tester.json"));
+
+        // the missing data is still recorded in the cache
+        test.equal(cache.getData("./test/files6", "tester", new Locale("de")), null);
+        test.done();
+    },
+
+    testLocaleDataNodeSyncNoManifest: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files6");
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            crossRoots: true
+        });
+
+        // root without a manifest loads all of its files as before
+        test.deepEqual(actual, {
+            "a": "b en files6",
+            "c": "d en-US files6",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        });
+
+        const cache = DataCache.getDataCache();
+        test.equal(cache.getManifest("./test/files"), null);
+        test.ok(cache.getManifest("./test/files6"));
+        test.done();
+    },
+
+    testLocaleDataNodeAsyncManifest: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: false
+        });
+
+        test.ok(locData);
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "a": "b en files6",
+                "c": "d en-US files6"
+            });
+
+            const manifest = DataCache.getDataCache().getManifest("./test/files6");
+            test.ok(manifest.has("en/US/tester.json"));
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeAsyncManifestSkipsUnlistedFiles: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: false
+        });
+
+        test.ok(locData);
+        locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        }).then((actual) => {
+            // the de/tester.json file exists, but is not in the manifest
+            test.deepEqual(actual, {
+                "a": "b files6",
+                "c": "d files6"
+            });
+
+            const cache = DataCache.getDataCache();
+            test.ok(!cache.isLoaded("test/files6/de/tester.json"));
+
+            // the assembled locale files are not in the manifest either
+            test.ok(!cache.isLoaded("test/files6/de-DE.js"));
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeManifestLoadedOnce: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        const cache = DataCache.getDataCache();
+        const manifest = cache.getManifest("./test/files6");
+        test.ok(manifest);
+
+        locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        });
+
+        // same instance means it was not loaded again
+        test.equal(cache.getManifest("./test/files6"), manifest);
+        test.done();
+    },
+
+    testLocaleDataNodeSyncNoCache: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            useCache: false
+        });
+
+        test.ok(locData);
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.deepEqual(actual, {
+            "a": "b en",
+            "c": "d en-US",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        });
 
+        // nothing was stored or marked as loaded
+        const cache = DataCache.getDataCache();
+        test.equal(cache.size(), 0);
+        test.ok(!cache.isLoaded("test/files/en/US/tester.json"));
+        test.done();
+    },
+
+    testLocaleDataNodeAsyncNoCache: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false,
+            useCache: false
+        });
+
+        test.ok(locData);
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "a": "b en",
+                "c": "d en-US",
+                "x": {
+                    "m": "n",
+                    "o": "p en-US"
+                }
+            });
+
+            // nothing was stored or marked as loaded, not even the
+            // attempt to load the assembled locale file
+            const cache = DataCache.getDataCache();
+            test.equal(cache.size(), 0);
+            test.ok(!cache.isLoaded("test/files/en-US.js"));
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeAsyncNoCacheAssembled: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files3",
+            sync: false,
+            useCache: false
+        });
+
+        // this root only has assembled files
+        locData.loadData({
+            basename: "info",
+            locale: "de-DE"
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "a": "b de",
+                "c": "d de"
+            });
+
+            // the data in the assembled files was not stored in the cache
+            test.equal(DataCache.getDataCache().size(), 0);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNoCacheIgnoresCachedData: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            useCache: false
+        });
+
+        LocaleData.cacheData({
+            "en-US": {
+                "tester": {
+                    "a": "b en-US from the cache"
+                }
+            }
+        }, "./test/files");
+        test.ok(DataCache.getDataCache().getData("./test/files", "tester", new Locale("en-US")));
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.deepEqual(actual, {
+            "a": "b en",
+            "c": "d en-US",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeNoCacheUsesManifest: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: true,
+            useCache: false
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        });
+
+        // the de/tester.json file exists, but is not in the manifest
+        test.deepEqual(actual, {
+            "a": "b files6",
+            "c": "d files6"
+        });
+
+        // the manifest was not cached either
+        test.equal(typeof(DataCache.getDataCache().getManifest("./test/files6")), 'undefined');
+        test.done();
+    },
+
+    testLocaleDataNodeSyncArraysConcatenatedByDefault: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "arrays",
+            locale: "en-US"
+        });
+
+        test.deepEqual(actual, {
+            "list": ["root", "en from files2"],
+            "x": {
+                "nested": ["root", "en-US"]
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeSyncArraysReplace: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            replace: true
+        });
+
+        test.deepEqual(actual, {
+            "list": ["en from files2"],
+            "x": {
+                "nested": ["en-US"]
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeSyncArraysNoReplace: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            replace: false
+        });
+
+        test.deepEqual(actual, {
+            "list": ["root", "en from files2"],
+            "x": {
+                "nested": ["root", "en-US"]
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeSyncArraysCrossRoots: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            crossRoots: true
+        });
+
+        test.deepEqual(actual, {
+            "list": ["root", "en", "en from files2"],
+            "x": {
+                "nested": ["root", "en-US"]
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeSyncArraysCrossRootsReplace: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            crossRoots: true,
+            replace: true
+        });
+
+        test.deepEqual(actual, {
+            "list": ["en from files2"],
+            "x": {
+                "nested": ["en-US"]
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeAsyncArraysConcatenatedByDefault: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        locData.loadData({
+            basename: "arrays",
+            locale: "en-US"
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "list": ["root", "en from files2"],
+                "x": {
+                    "nested": ["root", "en-US"]
+                }
+            });
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeAsyncArraysReplace: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            replace: true
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "list": ["en from files2"],
+                "x": {
+                    "nested": ["en-US"]
+                }
+            });
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeAsyncArraysCrossRootsReplace: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        locData.loadData({
+            basename: "arrays",
+            locale: "en-US",
+            crossRoots: true,
+            replace: true
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "list": ["en from files2"],
+                "x": {
+                    "nested": ["en-US"]
+                }
+            });
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeSyncCacheLimitsReloadEvictedData: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.setCacheLimits({ maxEntries: 2 });
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        let actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        const expected = {
+            "a": "b en",
+            "c": "d en-US",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        };
+        test.deepEqual(actual, expected);
+
+        const cache = DataCache.getDataCache();
+        test.ok(cache.size() <= 2);
+
+        actual = locData.loadData({
+            basename: "tester",
+            locale: "ja-JP"
+        });
+        test.ok(cache.size() <= 2);
+
+        // the evicted data is loaded again
+        actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.deepEqual(actual, expected);
+
+        // clean up
+        LocaleData.setCacheLimits({ maxEntries: 0 });
+        test.done();
+    },
+
+    testLocaleDataNodeSyncCacheLimitsNoMergeOfEvictedData: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.setCacheLimits({ maxEntries: 1 });
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.equal(actual.a, "b en");
+
+        // the root and en data were evicted while the en-US data was stored,
+        // so remembering the merge would keep that data around after all
+        const stats = LocaleData.getCacheStats();
+        test.equal(stats.entries, 1);
+        test.equal(stats.mergedEntries, 0);
+
+        // clean up
+        LocaleData.setCacheLimits({ maxEntries: 0 });
+        test.done();
+    },
+
+    testLocaleDataNodeCacheStats: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        let stats = LocaleData.getCacheStats();
+        // one call for the manifest and one for the data files
+        test.equal(stats.loaderCalls, 2);
+        test.equal(stats.loadedFiles, 4);
+        // und-US has no data
+        test.equal(stats.negativeEntries, 1);
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        stats = LocaleData.getCacheStats();
+        test.equal(stats.byBasename.tester.hits, 3);
+        test.done();
+    },
+
+    testLocaleDataNodeCacheStatsNoLoaderCallForLoadedFiles: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+        const params = {
+            basename: "tester",
+            locale: "en-US",
+            withSources: true
+        };
+
+        let loaderCalls;
+        locData.loadData(params).then((actual) => {
+            test.equal(actual.data.a, "b en");
+            loaderCalls = LocaleData.getCacheStats().loaderCalls;
+            return locData.loadData(params);
+        }).then(() => {
+            // everything is in the cache or known to be missing now
+            test.equal(LocaleData.getCacheStats().loaderCalls, loaderCalls);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeCacheEntries: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        const locales = Array.from(LocaleData.getCacheEntries()).
+            filter(entry => entry.data).
+            map(entry => `${entry.root} ${entry.locale} ${entry.basename}`);
+        test.deepEqual(locales, [
+            "./test/files root tester",
+            "./test/files en tester",
+            "./test/files en-US tester"
+        ]);
+        test.done();
+    },
+
+    testLocaleDataNodeRemoveGlobalRootEvictsData: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        locData.loadData({
+            basename: "tester",
+            locale: "ja-JP"
+        });
+        const cache = DataCache.getDataCache();
+        test.ok(cache.getData("./test/files2", "tester", new Locale("ja-JP")));
+
+        LocaleData.removeGlobalRoot("./test/files2");
+
+        test.equal(typeof(cache.getData("./test/files2", "tester", new Locale("ja-JP"))), 'undefined');
+        test.ok(!cache.isLoaded("test/files2/ja/JP/tester.json"));
+
+        // the data from the package root is still there
+        test.ok(cache.getData("./test/files", "tester", new Locale("ja")));
+        test.done();
+    },
+
+    testLocaleDataNodeClearCacheBasename: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        locData.loadData({
+            basename: "merge",
+            locale: "en-US"
+        });
+        const cache = DataCache.getDataCache();
+
+        LocaleData.clearCache({ basename: "tester" });
+
+        test.equal(typeof(cache.getData("./test/files", "tester", new Locale("en-US"))), 'undefined');
+        test.ok(cache.getData("./test/files", "merge", new Locale("en-US")));
+        test.ok(!cache.isLoaded("test/files/en/US/tester.json"));
+
+        // loads it again
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.deepEqual(actual, {
+            "a": "b en",
+            "c": "d en-US",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeClearCacheLocale: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        locData.loadData({
+            basename: "tester",
+            locale: "ja-JP"
+        });
+        const cache = DataCache.getDataCache();
+
+        LocaleData.clearCache({ locale: "ja-JP", root: "./test/files" });
+
+        test.equal(typeof(cache.getData("./test/files", "tester", new Locale("ja-JP"))), 'undefined');
+        // the sublocales of ja-JP are left for the other locales that use them
+        test.ok(cache.getData("./test/files", "tester", new Locale("ja")));
+        test.ok(cache.getData("./test/files", "tester", new Locale("en-US")));
+        test.done();
+    },
+
+    testLocaleDataNodeEventsLoad: function(test) {
+        setPlatform();
+
+        test.expect(7);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        let events = {};
+        const names = ["loadStart", "fileLoaded", "fileMissing", "cacheHit", "cacheStore"];
+        names.forEach((name) => {
+            events[name] = [];
+            LocaleData.on(name, info => events[name].push(info));
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.deepEqual(events.loadStart, [{
+            root: "./test/files",
+            path: undefined,
+            locale: "en-US",
+            basename: "tester"
+        }]);
+        test.deepEqual(events.fileLoaded.map(info => info.path), [
+            "test/files/tester.json",
+            "test/files/en/tester.json",
+            "test/files/en/US/tester.json"
+        ]);
+        test.deepEqual(events.fileMissing, [{
+            root: "./test/files",
+            path: "test/files/und/US/tester.json",
+            locale: "und-US",
+            basename: "tester"
+        }]);
+        test.equal(events.cacheStore.length, 4);
+        test.equal(events.cacheHit.length, 0);
+
+        // now it comes from the cache
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.deepEqual(events.cacheHit.map(info => info.locale), ["root", "en", "en-US"]);
+        test.equal(events.fileLoaded.length, 3);
+
+        names.forEach(name => LocaleData.off(name));
+        test.done();
+    },
+
+    testLocaleDataNodeEventsCacheClear: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        locData.loadData({
+            basename: "tester",
+            locale: "ja-JP"
+        });
+
+        let cleared = [];
+        LocaleData.on("cacheClear", info => cleared.push(info));
+
+        LocaleData.clearCache({ root: "./test/files", locale: "ja-JP" });
+        test.deepEqual(cleared.map(info => info.locale), ["ja-JP"]);
+
+        cleared = [];
+        LocaleData.clearCache();
+        test.deepEqual(cleared, [{
+            root: undefined,
+            path: undefined,
+            locale: undefined,
+            basename: undefined
+        }]);
+
+        LocaleData.off("cacheClear");
+        test.done();
+    },
+
+    testLocaleDataNodeEventsParseError: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files7",
+            sync: true
+        });
+
+        let errors = [];
+        LocaleData.on("parseError", info => errors.push(info));
+
+        test.throws(() => {
+            locData.loadData({
+                basename: "tester",
+                locale: "root"
+            });
+        }, LocaleDataParseError);
+        test.equal(errors.length, 1);
+        test.equal(errors[0].path, "test/files7/tester.json");
+        test.ok(errors[0].error instanceof LocaleDataParseError);
+
+        LocaleData.off("parseError");
+        test.done();
+    },
+
+    testLocaleDataNodeParseErrorAsync: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files7",
+            sync: false
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "root"
+        }).then(() => {
+            test.fail();
+            test.done();
+        }).catch((e) => {
+            test.ok(e instanceof LocaleDataParseError);
+            test.equal(e.path, "test/files7/tester.json");
+            test.equal(e.root, "./test/files7");
+            test.ok(e.cause);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeParseErrorLineAndColumn: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files7",
+            sync: true
+        });
+
+        try {
+            locData.loadData({
+                basename: "tester",
+                locale: "root"
+            });
+            test.fail();
+        } catch (e) {
+            test.ok(e instanceof LocaleDataParseError);
+            test.equal(e.line, 4);
+            test.equal(e.column, 1);
+            test.ok(e.message.indexOf("test/files7/tester.json:4:1") > -1);
+        }
+        test.done();
+    },
+
+    testLocaleDataNodeBadParseMode: function(test) {
+        test.expect(1);
+        test.throws(() => {
+            new LocaleData({
+                path: "./test/files7",
+                parseMode: "forgiving"
+            });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleDataNodeLenientSync: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files7",
+            sync: true,
+            parseMode: "lenient"
+        });
+
+        let errors = [];
+        LocaleData.on("parseError", info => errors.push(info));
+
+        // the broken root file is skipped, and the en file is still there
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.deepEqual(actual, {
+            "a": "b en files7"
+        });
+        test.equal(errors.length, 1);
+
+        LocaleData.off("parseError");
+        test.done();
+    },
+
+    testLocaleDataNodeLenientOtherRoots: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.addGlobalRoot("./test/files7");
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false,
+            parseMode: "lenient"
+        });
+
+        // the root data comes from the package's own root because the
+        // one in files7 cannot be parsed
+        locData.loadData({
+            basename: "tester",
+            locale: "en"
+        }).then((actual) => {
+            test.deepEqual(actual, {
+                "a": "b en files7",
+                "c": "d",
+                "x": {
+                    "m": "n",
+                    "o": "p"
+                }
+            });
+            LocaleData.clearGlobalRoots();
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeEnsureLocaleStrict: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        LocaleData.ensureLocale("fr-FR", ["./test/files7"]).then(() => {
+            test.fail();
+            test.done();
+        }).catch((e) => {
+            test.ok(e instanceof LocaleDataParseError);
+            test.equal(e.path, "test/files7/fr-FR.json");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeEnsureLocaleLenient: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        LocaleData.ensureLocale("fr-FR", ["./test/files7"], { parseMode: "lenient" }).then((result) => {
+            // nothing usable was found
+            test.ok(!result);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLenientThenStrict: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const lenient = new LocaleData({
+            path: "./test/files7",
+            sync: true,
+            parseMode: "lenient"
+        });
+        test.deepEqual(lenient.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }), {
+            "a": "b en files7"
+        });
+
+        // the broken file that the lenient instance skipped still fails here
+        const strict = new LocaleData({
+            path: "./test/files7",
+            sync: true
+        });
+        test.throws(() => {
+            strict.loadData({
+                basename: "tester",
+                locale: "en-US"
+            });
+        }, LocaleDataParseError);
+        test.done();
+    },
+
+    testLocaleDataNodeEnsureLocaleLenientThenStrict: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        LocaleData.ensureLocale("fr-FR", ["./test/files7"], { parseMode: "lenient" }).then((result) => {
+            test.ok(!result);
+            return LocaleData.ensureLocale("fr-FR", ["./test/files7"]);
+        }).then(() => {
+            test.fail();
+            test.done();
+        }).catch((e) => {
+            test.ok(e instanceof LocaleDataParseError);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeValidatorValid: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            validation: "error"
+        });
+        locData.registerValidator("tester", testerSchema);
+
+        let errors = [];
+        LocaleData.on("validationError", info => errors.push(info));
+
+        // the files for en and en-US do not have all the required properties,
+        // but the merged result does
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.equal(actual.c, "d en-US");
+        test.equal(errors.length, 0);
+
+        LocaleData.off("validationError");
+        test.done();
+    },
+
+    testLocaleDataNodeValidatorWarn: function(test) {
+        setPlatform();
+
+        test.expect(5);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        // does not allow the "x" property
+        locData.registerValidator("tester", {
+            type: "object",
+            properties: {
+                a: { type: "string" },
+                c: { type: "string" }
+            },
+            additionalProperties: false
+        });
+
+        let errors = [];
+        LocaleData.on("validationError", info => errors.push(info));
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        // still returns the data
+        test.equal(actual.c, "d en-US");
+
+        // each of the 3 files and the merged result
+        test.equal(errors.length, 4);
+        test.equal(errors[0].path, "test/files/tester.json");
+        test.deepEqual(errors[0].error.problems, ['/: unknown property "x"']);
+        test.equal(errors[3].path, undefined);
+
+        LocaleData.off("validationError");
+        test.done();
+    },
+
+    testLocaleDataNodeValidatorError: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            validation: "error"
+        });
+        locData.registerValidator("tester", {
+            type: "object",
+            properties: {
+                x: {
+                    type: "object",
+                    properties: {
+                        m: { type: "number" }
+                    }
+                }
+            }
+        });
+
+        test.throws(() => {
+            locData.loadData({
+                basename: "tester",
+                locale: "en-US"
+            });
+        }, function(e) {
+            return e instanceof LocaleDataValidationError &&
+                e.path === "test/files/tester.json" &&
+                e.root === "./test/files" &&
+                e.locale === "root" &&
+                e.problems[0] === "/x/m: expected number but found string";
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeValidatorErrorAsync: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            validation: "error"
+        });
+        locData.registerValidator("tester", (data, context) => {
+            return (context.partial || data.a !== "b en") ? true : "the a property is wrong";
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).then(() => {
+            test.fail();
+            test.done();
+        }).catch((e) => {
+            test.ok(e instanceof LocaleDataValidationError);
+            test.deepEqual(e.problems, ["the a property is wrong"]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeValidatorAssembledFile: function(test) {
+        setPlatform();
+
+        test.expect(5);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files10",
+            validation: "error"
+        });
+        locData.registerValidator("tester", testerSchema);
+
+        locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        }).then(() => {
+            test.fail();
+            test.done();
+        }).catch((e) => {
+            // the error names the assembled file rather than the merged data
+            test.ok(e instanceof LocaleDataValidationError);
+            test.equal(e.path, "test/files10/de-DE.json");
+            test.equal(e.root, "./test/files10");
+            test.equal(e.locale, "de");
+            test.equal(e.basename, "tester");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeValidatorAssembledFileNoCache: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files10",
+            useCache: false
+        });
+        locData.registerValidator("tester", testerSchema);
+
+        let errors = [];
+        LocaleData.on("validationError", info => errors.push(info));
+
+        locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        }).then((actual) => {
+            // in warn mode, the data is still returned
+            test.equal(actual.a, 3);
+            test.equal(errors[0].path, "test/files10/de-DE.json");
+            test.equal(errors[0].locale, "de");
+            LocaleData.off("validationError");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeValidatorFunctionContext: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        let contexts = [];
+        locData.registerValidator("tester", (data, context) => {
+            contexts.push(context);
+            return true;
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "en"
+        });
+        test.deepEqual(contexts.map(context => [context.path, context.locale, context.partial]), [
+            ["test/files/tester.json", "root", true],
+            ["test/files/en/tester.json", "en", true],
+            [undefined, "en", false]
+        ]);
+        test.done();
+    },
+
+    testLocaleDataNodeRegisterValidatorBadParams: function(test) {
+        test.expect(2);
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+        test.throws(() => {
+            locData.registerValidator(undefined, {});
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            locData.registerValidator("tester", "schema");
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataParentLocale: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "pt-AO"
+        }), {
+            "a": "a und-AO",
+            "b": "b pt",
+            // from the parent pt-PT
+            "c": "c pt-PT",
+            // und-PT is not in the chain
+            "d": "d root",
+            "e": "e pt-AO"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataRegionGroupParent: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "es-MX"
+        }), {
+            "a": "a root",
+            "b": "b root",
+            "c": "c es-419",
+            "d": "d root",
+            "e": "e es-MX"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataNoParentLocale: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.setParentLocale("pt-AO");
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "pt-AO"
+        }), {
+            "a": "a und-AO",
+            "b": "b pt",
+            "c": "c root",
+            "d": "d root",
+            "e": "e pt-AO"
+        });
+        LocaleData.resetParentLocales();
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataParentLocaleAsync: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: false
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "pt-AO"
+        }).then((actual) => {
+            test.equal(actual.c, "c pt-PT");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataNotLikely: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "zh-TW"
+        }), {
+            "a": "a root",
+            "b": "b root",
+            "c": "c zh-TW",
+            "d": "d root",
+            "e": "e root"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataLikely: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true,
+            likely: true
+        });
+
+        // loaded as zh-Hant-TW, so the data for zh-Hant is included
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "zh-TW"
+        }), {
+            "a": "a root",
+            "b": "b zh-Hant",
+            "c": "c zh-TW",
+            "d": "d root",
+            "e": "e root"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataLikelyAsync: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            likely: true
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "zh-TW"
+        }).then((actual) => {
+            test.equal(actual.b, "b zh-Hant");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataLikelyParam: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "zh-TW",
+            likely: true
+        }).b, "b zh-Hant");
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "zh-TW"
+        }).b, "b root");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataLikelyWithParent: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true,
+            likely: true
+        });
+
+        // es-Latn-MX still goes through es-419
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "es-MX"
+        }).c, "c es-419");
+        test.done();
+    },
+
+    testLocaleDataNodeEnsureLocaleLikely: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        let paths = [];
+        const listener = info => paths.push(info.path);
+        LocaleData.on("fileMissing", listener);
+
+        LocaleData.ensureLocale("zh-TW", ["./test/files8"], { likely: true }).then(() => {
+            LocaleData.off("fileMissing", listener);
+            test.ok(paths.indexOf("test/files8/zh-Hant.js") > -1);
+            test.ok(paths.indexOf("test/files8/zh-Hant-TW.js") > -1);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataUnicodeExtension: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "de-DE-u-co-phonebk"
+        }), {
+            "a": "a root",
+            "b": "b de",
+            // the overlay for de wins over the data for de-DE
+            "c": "c de-u-co-phonebk",
+            "d": "d de-DE",
+            "e": "e de-DE-u-co-phonebk"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithoutUnicodeExtension: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "de-DE"
+        }), {
+            "a": "a root",
+            "b": "b de",
+            "c": "c de-DE",
+            "d": "d de-DE",
+            "e": "e root"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataUnicodeExtensionAsync: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9",
+            sync: false
+        });
+
+        locData.loadData({
+            basename: "tester",
+            locale: "de-DE-u-co-phonebk"
+        }).then((data) => {
+            test.deepEqual(data, {
+                "a": "a root",
+                "b": "b de",
+                "c": "c de-u-co-phonebk",
+                "d": "d de-DE",
+                "e": "e de-DE-u-co-phonebk"
+            });
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataVariant: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9",
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "ca-ES-valencia"
+        }), {
+            "a": "a root",
+            "b": "b ca",
+            "c": "c ca-valencia",
+            "d": "d ca-ES-valencia",
+            "e": "e root"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataLikelyUnicodeExtension: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9",
+            sync: true,
+            likely: true
+        });
+
+        // the extension is kept when the locale is expanded to de-Latn-DE
+        test.deepEqual(locData.loadData({
+            basename: "tester",
+            locale: "de-DE-u-co-phonebk"
+        }), {
+            "a": "a root",
+            "b": "b de",
+            "c": "c de-u-co-phonebk",
+            "d": "d de-DE",
+            "e": "e de-DE-u-co-phonebk"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeEnsureLocaleUnicodeExtension: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        test.ok(!LocaleData.checkCache("ja-JP-u-ca-japanese", "tester"));
+        LocaleData.ensureLocale("ja-JP-u-ca-japanese", ["./test/files9"]).then((result) => {
+            test.ok(result);
+            LocaleData.addGlobalRoot("./test/files9");
+            test.ok(LocaleData.checkCache("ja-JP-u-ca-japanese", "tester"));
+            LocaleData.clearGlobalRoots();
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesUnicodeExtension: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9"
+        });
+
+        locData.getAvailableLocales("tester").then((locales) => {
+            test.deepEqual(locales.map(result => result.locale), [
+                "ca", "ca-ES-valencia", "ca-valencia", "de", "de-DE", "de-DE-u-co-phonebk", "de-u-co-phonebk",
+                "ja-JP", "ja-JP-u-ca-japanese"
+            ]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleSkipsUnicodeExtensions: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files9"
+        });
+
+        // the overlay de-DE-u-co-phonebk is not a candidate of its own
+        locData.negotiateLocale(["de-DE-u-co-phonebk"], { basename: "tester" }).then((locale) => {
+            test.equal(locale, "de-DE");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataWithSources: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            withSources: true
+        });
+        LocaleData.clearGlobalRoots();
+
+        test.deepEqual(actual.data, {
+            "a": "b en from files2",
+            "c": "d en-US",
+            "x": {
+                "m": "n",
+                "o": "p en-US"
+            }
+        });
+        test.deepEqual(actual.sources, {
+            "a": {
+                root: "./test/files2",
+                path: "test/files2/en/tester.json",
+                locale: "en"
+            },
+            "c": {
+                root: "./test/files",
+                path: "test/files/en/US/tester.json",
+                locale: "en-US"
+            },
+            "x.m": {
+                root: "./test/files",
+                path: "test/files/tester.json",
+                locale: "root"
+            },
+            "x.o": {
+                root: "./test/files",
+                path: "test/files/en/US/tester.json",
+                locale: "en-US"
+            }
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithSourcesCrossRoots: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const actual = locData.loadData({
+            basename: "merge",
+            locale: "en-US",
+            crossRoots: true,
+            withSources: true
+        });
+        LocaleData.clearGlobalRoots();
+
+        test.equal(actual.data.a, "a from files2 en-US");
+        test.equal(actual.sources.a.path, "test/files2/en/US/merge.json");
+        test.deepEqual(actual.sources.b, {
+            root: "./test/files",
+            path: "test/files/en/US/merge.json",
+            locale: "en-US"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithSourcesMostSpecific: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            mostSpecific: true,
+            withSources: true
+        });
+
+        test.deepEqual(Object.keys(actual.sources).map(key => actual.sources[key].path), [
+            "test/files/en/US/tester.json",
+            "test/files/en/US/tester.json"
+        ]);
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithSourcesReturnOne: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            returnOne: true,
+            withSources: true
+        });
+
+        test.equal(actual.data.a, "b");
+        test.deepEqual(actual.sources.a, {
+            root: "./test/files",
+            path: "test/files/tester.json",
+            locale: "root"
+        });
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithSourcesCacheData: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        LocaleData.cacheData({
+            "fr": {
+                "tester": {
+                    "a": "a fr cached"
+                }
+            }
+        }, "./test/files");
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "fr",
+            withSources: true
+        });
+
+        test.equal(actual.data.a, "a fr cached");
+        // not loaded from a file
+        test.equal(typeof(actual.sources.a.path), 'undefined');
+        test.equal(actual.sources.a.locale, "fr");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataWithSourcesAssembledFile: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files3",
+            sync: false
+        });
+
+        locData.loadData({
+            basename: "info",
+            locale: "de-DE",
+            withSources: true
+        }).then((actual) => {
+            test.equal(actual.data.a, "b de");
+            test.deepEqual(actual.sources.a, {
+                root: "./test/files3",
+                path: "test/files3/de-DE.js",
+                locale: "de-DE"
+            });
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeExplainLoad: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const report = locData.explainLoad({
+            basename: "tester",
+            locale: "en-US"
+        });
+        LocaleData.clearGlobalRoots();
+
+        test.equal(report.locale, "en-US");
+        test.equal(report.basename, "tester");
+        test.deepEqual(report.files.map(file => [file.path, file.locale, file.status]), [
+            ["test/files2/tester.json", "root", "fileMissing"],
+            ["test/files/tester.json", "root", "fileLoaded"],
+            ["test/files2/en/tester.json", "en", "fileLoaded"],
+            ["test/files/en/tester.json", "en", "fileLoaded"],
+            ["test/files2/und/US/tester.json", "und-US", "fileMissing"],
+            ["test/files/und/US/tester.json", "und-US", "fileMissing"],
+            ["test/files2/en/US/tester.json", "en-US", "fileMissing"],
+            ["test/files/en/US/tester.json", "en-US", "fileLoaded"]
+        ]);
+        // the en data in files is not used because files2 comes first
+        test.deepEqual(report.merged.map(file => file.path), [
+            "test/files/tester.json",
+            "test/files2/en/tester.json",
+            "test/files/en/US/tester.json"
+        ]);
+        test.done();
+    },
+
+    testLocaleDataNodeExplainLoadFromCache: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        const report = locData.explainLoad({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.deepEqual(report.files.map(file => file.status), [
+            "cacheHit", "cacheHit", "knownMissing", "cacheHit"
+        ]);
+        test.equal(report.files[0].source, "test/files/tester.json");
+        test.done();
+    },
+
+    testLocaleDataNodeExplainLoadNotInManifest: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6",
+            sync: true
+        });
+
+        const report = locData.explainLoad({
+            basename: "tester",
+            locale: "de-DE"
+        });
+
+        // de/tester.json exists, but is not in the manifest
+        test.deepEqual(report.files.map(file => [file.locale, file.status]), [
+            ["root", "fileLoaded"],
+            ["de", "notInManifest"],
+            ["und-DE", "notInManifest"],
+            ["de-DE", "notInManifest"]
+        ]);
+        test.done();
+    },
+
+    testLocaleDataNodeExplainLoadParseErrorAsync: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files7",
+            sync: false
+        });
+
+        // reported instead of rejected, even in strict mode
+        locData.explainLoad({
+            basename: "tester",
+            locale: "fr-FR"
+        }).then((report) => {
+            test.deepEqual(report.files[0], {
+                root: "./test/files7",
+                path: "test/files7/tester.json",
+                locale: "root",
+                status: "parseError"
+            });
+            test.equal(report.merged.length, 0);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataImmutable: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            mostSpecific: true
+        });
+
+        test.ok(Object.isFrozen(actual));
+        test.throws(() => {
+            actual.x.o = "changed";
+        }, TypeError);
+
+        // the cached data is still the same for everyone else
+        const again = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            mostSpecific: true
+        });
+        test.equal(again.x.o, "p en-US");
+        test.equal(again, actual);
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataImmutableMerged: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        test.ok(Object.isFrozen(actual));
+        test.ok(Object.isFrozen(actual.x));
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataNotImmutable: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            immutable: false
+        });
+
+        const actual = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            mostSpecific: true
+        });
+
+        test.ok(!Object.isFrozen(actual));
+        actual.x.o = "changed";
+        test.equal(actual.x.o, "changed");
+
+        // the change was made to a copy, not to the cached data
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            mostSpecific: true
+        }).x.o, "p en-US");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataMergedOnce: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const first = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        const second = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+
+        // the merged result is reused instead of merging again
+        test.equal(second, first);
+        test.equal(LocaleData.getCacheStats().mergedHits, 1);
+
+        // a different merge mode gives a different result
+        const replaced = locData.loadData({
+            basename: "tester",
+            locale: "en-US",
+            replace: true
+        });
+        test.notEqual(replaced, first);
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataMergedInvalidated: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).c, "d en-US");
+
+        // one of the files that went into the merge changed
+        LocaleData.cacheData({
+            "en-US": {
+                "tester": {
+                    "c": "d en-US changed"
+                }
+            }
+        }, "./test/files");
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).c, "d en-US changed");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataMergedMissingFileInvalidated: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        test.equal(typeof(locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).z), 'undefined');
+
+        // und-US had no data before
+        LocaleData.cacheData({
+            "und-US": {
+                "tester": {
+                    "z": "z und-US"
+                }
+            }
+        }, "./test/files");
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }).z, "z und-US");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataMergedParentChanged: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8",
+            sync: true
+        });
+
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "pt-AO"
+        }).c, "c pt-PT");
+
+        LocaleData.setParentLocale("pt-AO");
+        test.equal(locData.loadData({
+            basename: "tester",
+            locale: "pt-AO"
+        }).c, "c root");
+        LocaleData.resetParentLocales();
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataMergedNotImmutable: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true,
+            immutable: false
+        });
+
+        const first = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        first.c = "changed";
+
+        const second = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        test.notEqual(second, first);
+        test.equal(second.c, "d en-US");
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataBatch: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const actual = locData.loadDataBatch({
+            basenames: ["tester", "arrays"],
+            locale: "en-US"
+        });
+
+        // one call for the manifest and one for the data files of both basenames
+        test.equal(LocaleData.getCacheStats().loaderCalls, 2);
+        test.deepEqual(Object.keys(actual), ["tester", "arrays"]);
+
+        const other = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+        test.deepEqual(actual.tester, other.loadData({
+            basename: "tester",
+            locale: "en-US"
+        }));
+        test.deepEqual(actual.arrays, other.loadData({
+            basename: "arrays",
+            locale: "en-US"
+        }));
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataBatchAsync: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+
+        locData.loadDataBatch({
+            basenames: ["tester", "arrays"],
+            locale: "en-US"
+        }).then((actual) => {
+            test.deepEqual(Object.keys(actual), ["tester", "arrays"]);
+            test.equal(actual.tester.c, "d en-US");
+
+            const expected = new LocaleData({
+                path: "./test/files",
+                sync: true
+            }).loadData({
+                basename: "arrays",
+                locale: "en-US"
+            });
+            test.deepEqual(actual.arrays, expected);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataBatchTwiceNoLoaderCalls: function(test) {
+        setPlatform();
+
+        test.expect(2);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: false
+        });
+        // sources are not remembered with the merged data, so this goes
+        // through the files each time
+        const params = {
+            basenames: ["tester", "arrays"],
+            locale: "en-US",
+            withSources: true
+        };
+
+        let loaderCalls;
+        locData.loadDataBatch(params).then((actual) => {
+            test.equal(actual.tester.data.c, "d en-US");
+            loaderCalls = LocaleData.getCacheStats().loaderCalls;
+            return locData.loadDataBatch(params);
+        }).then(() => {
+            test.equal(LocaleData.getCacheStats().loaderCalls, loaderCalls);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeLoadDataBatchReusesMerged: function(test) {
+        setPlatform();
+
+        test.expect(4);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        const tester = locData.loadData({
+            basename: "tester",
+            locale: "en-US"
+        });
+        const actual = locData.loadDataBatch({
+            basenames: ["tester", "arrays", "tester"],
+            locale: "en-US"
+        });
+
+        // the duplicate basename is only loaded once
+        test.deepEqual(Object.keys(actual), ["tester", "arrays"]);
+        test.equal(actual.tester, tester);
+        test.equal(LocaleData.getCacheStats().mergedHits, 1);
+        test.ok(actual.arrays);
+        test.done();
+    },
+
+    testLocaleDataNodeLoadDataBatchBadParams: function(test) {
+        setPlatform();
+
+        test.expect(3);
+        const locData = new LocaleData({
+            path: "./test/files",
+            sync: true
+        });
+
+        test.throws(() => {
+            locData.loadDataBatch({
+                locale: "en-US"
+            });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            locData.loadDataBatch({
+                basenames: [],
+                locale: "en-US"
+            });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            locData.loadDataBatch({
+                basenames: ["tester", 3],
+                locale: "en-US"
+            });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleDataNodeGetAvailableLocales: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.getAvailableLocales().then((locales) => {
+            test.deepEqual(locales, [
+                { locale: "en", root: "./test/files" },
+                { locale: "en-US", root: "./test/files" },
+                { locale: "ja", root: "./test/files" },
+                { locale: "ja-JP", root: "./test/files" }
+            ]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesBasename: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.getAvailableLocales("merge").then((locales) => {
+            test.deepEqual(locales, [
+                { locale: "en", root: "./test/files" },
+                { locale: "en-US", root: "./test/files" }
+            ]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesManifest: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files6"
+        });
+
+        // de/tester.json exists but is not in the manifest
+        locData.getAvailableLocales("tester").then((locales) => {
+            test.deepEqual(locales, [
+                { locale: "en", root: "./test/files6" },
+                { locale: "en-US", root: "./test/files6" }
+            ]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesAssembled: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files3"
+        });
+
+        locData.getAvailableLocales("info").then((locales) => {
+            test.deepEqual(locales, [
+                { locale: "de-DE", root: "./test/files3" },
+                { locale: "en", root: "./test/files3" },
+                { locale: "ja-JP", root: "./test/files3" },
+                { locale: "zh", root: "./test/files3" }
+            ]);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesSyncLoader: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files3",
+            sync: true
+        });
+
+        // the loader is shared, and may have been put into sync mode by others
+        const loader = LoaderFactory();
+        loader.setSyncMode();
+        locData.getAvailableLocales("info").then((locales) => {
+            loader.setAsyncMode();
+            test.equal(locales.length, 4);
+            test.done();
+        }).catch((e) => {
+            loader.setAsyncMode();
+            test.ok(false, e.message);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeGetAvailableLocalesMultipleRoots: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        LocaleData.addGlobalRoot("./test/files2");
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.getAvailableLocales("tester").then((locales) => {
+            test.deepEqual(locales, [
+                { locale: "en", root: "./test/files2" },
+                { locale: "ja-JP", root: "./test/files2" },
+                { locale: "en", root: "./test/files" },
+                { locale: "en-US", root: "./test/files" },
+                { locale: "ja", root: "./test/files" },
+                { locale: "ja-JP", root: "./test/files" }
+            ]);
+            LocaleData.clearGlobalRoots();
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocale: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        // there is no data for French, so the second choice wins
+        locData.negotiateLocale(["fr-FR", "ja-JP"]).then((locale) => {
+            test.equal(locale, "ja-JP");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleClosest: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        // en is in the fallback chain of en-GB, but en-US is not
+        locData.negotiateLocale(["en-GB", "ja-JP"]).then((locale) => {
+            test.equal(locale, "en");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleParentLocale: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8"
+        });
+
+        // es-419 is the parent of es-AR in CLDR, even though es-MX may be closer
+        locData.negotiateLocale(["es-AR"]).then((locale) => {
+            test.equal(locale, "es-419");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleLikelySubtags: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8"
+        });
+
+        // zh-TW is zh-Hant-TW once it is expanded with its likely subtags
+        locData.negotiateLocale(["zh-Hant-TW"]).then((locale) => {
+            test.equal(locale, "zh-TW");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleExact: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        // en and en-US score the same, but en is an exact match
+        locData.negotiateLocale("en").then((locale) => {
+            test.equal(locale, "en");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleNoMatch: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.negotiateLocale(["fr-FR", "de-DE"]).then((locale) => {
+            test.equal(typeof(locale), 'undefined');
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleBasename: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        // only English has data for the merge basename
+        locData.negotiateLocale(["ja-JP", "en-US"], { basename: "merge" }).then((locale) => {
+            test.equal(locale, "en-US");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleMultipleBasenames: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.negotiateLocale(["ja-JP"], { basename: ["tester", "merge"] }).then((locale) => {
+            test.equal(typeof(locale), 'undefined');
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleThreshold: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+
+        locData.negotiateLocale(["fr-FR"], { threshold: 0 }).then((locale) => {
+            test.ok(locale);
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleSkipsRegions: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+
+        const locData = new LocaleData({
+            path: "./test/files8"
+        });
+
+        // und-AO has data but is not a language
+        locData.negotiateLocale(["pt-AO"]).then((locale) => {
+            test.equal(locale, "pt-AO");
+            test.done();
+        });
+    },
+
+    testLocaleDataNodeNegotiateLocaleBadParams: function(test) {
+        test.expect(2);
+        const locData = new LocaleData({
+            path: "./test/files"
+        });
+        test.throws(() => {
+            locData.negotiateLocale();
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            locData.negotiateLocale(["en-US", 3]);
+        }, LocaleDataOptionsError);
+        test.done();
+    }
 };
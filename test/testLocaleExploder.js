@@ -0,0 +1,237 @@
+/*
+ * testLocaleExploder.js - test splitting assembled locale data files on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+import { setPlatform } from 'ilib-env';
+
+import LocaleExploder from '../src/LocaleExploder.js';
+import LocaleAssembler from '../src/LocaleAssembler.js';
+import LocaleData from '../src/LocaleData.js';
+import { LocaleDataOptionsError, LocaleDataParseError } from '../src/errors.js';
+import { makeTempDir, removeTempDirs } from './fsUtils.js';
+
+function readJson(fileName) {
+    return JSON.parse(fs.readFileSync(fileName, "utf-8"));
+}
+
+export const testLocaleExploder = {
+    tearDown: function(callback) {
+        removeTempDirs();
+        callback();
+    },
+
+    testLocaleExploderConstructor: function(test) {
+        test.expect(1);
+        const exploder = new LocaleExploder();
+        test.ok(exploder);
+        test.done();
+    },
+
+    testLocaleExploderConstructorBadOptions: function(test) {
+        test.expect(2);
+        test.throws(() => {
+            new LocaleExploder({ outputDir: 3 });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            new LocaleExploder({ basenames: "info" });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testLocaleExploderExplodeData: function(test) {
+        test.expect(4);
+        const outputDir = makeTempDir();
+        const exploder = new LocaleExploder({ outputDir });
+        const written = exploder.explodeData({
+            "root": { "info": { "a": "b" } },
+            "ja": { "info": { "a": "b ja" } },
+            "und-JP": { "info": { "a": "b JP" } },
+            "ja-JP": { "info": { "a": "b ja-JP" }, "foo": { "c": "d" } }
+        });
+
+        test.deepEqual(written, [
+            path.join(outputDir, "info.json"),
+            path.join(outputDir, "ja/info.json"),
+            path.join(outputDir, "und/JP/info.json"),
+            path.join(outputDir, "ja/JP/info.json"),
+            path.join(outputDir, "ja/JP/foo.json")
+        ]);
+        test.deepEqual(readJson(path.join(outputDir, "und/JP/info.json")), { "a": "b JP" });
+        test.deepEqual(readJson(path.join(outputDir, "ja/JP/foo.json")), { "c": "d" });
+        test.deepEqual(readJson(path.join(outputDir, "info.json")), { "a": "b" });
+        test.done();
+    },
+
+    testLocaleExploderExplodeDataRegionOnly: function(test) {
+        test.expect(1);
+        const outputDir = makeTempDir();
+        const exploder = new LocaleExploder({ outputDir });
+        exploder.explodeData({
+            "JP": { "info": { "a": "b JP" } }
+        });
+
+        test.ok(fs.existsSync(path.join(outputDir, "und/JP/info.json")));
+        test.done();
+    },
+
+    testLocaleExploderExplodeDataSkipsNonLocales: function(test) {
+        test.expect(1);
+        const outputDir = makeTempDir();
+        const exploder = new LocaleExploder({ outputDir });
+        const written = exploder.explodeData({
+            "info": { "a": "b" },
+            "de": { "info": { "a": "b de" } }
+        });
+
+        test.deepEqual(written, [ path.join(outputDir, "de/info.json") ]);
+        test.done();
+    },
+
+    testLocaleExploderExplodeDataBasenames: function(test) {
+        test.expect(1);
+        const outputDir = makeTempDir();
+        const exploder = new LocaleExploder({ outputDir, basenames: ["foo"] });
+        const written = exploder.explodeData({
+            "de-DE": { "info": { "a": "b" }, "foo": { "c": "d" } }
+        });
+
+        test.deepEqual(written, [ path.join(outputDir, "de/DE/foo.json") ]);
+        test.done();
+    },
+
+    testLocaleExploderExplodeDataNoOverwrite: function(test) {
+        test.expect(2);
+        const outputDir = makeTempDir();
+        fs.writeFileSync(path.join(outputDir, "info.json"), '{"a": "mine"}', "utf-8");
+        const exploder = new LocaleExploder({ outputDir });
+        const written = exploder.explodeData({
+            "root": { "info": { "a": "theirs" } }
+        });
+
+        test.deepEqual(written, []);
+        test.deepEqual(readJson(path.join(outputDir, "info.json")), { "a": "mine" });
+        test.done();
+    },
+
+    testLocaleExploderExplodeDataOverwrite: function(test) {
+        test.expect(1);
+        const outputDir = makeTempDir();
+        fs.writeFileSync(path.join(outputDir, "info.json"), '{"a": "mine"}', "utf-8");
+        const exploder = new LocaleExploder({ outputDir, overwrite: true });
+        exploder.explodeData({
+            "root": { "info": { "a": "theirs" } }
+        });
+
+        test.deepEqual(readJson(path.join(outputDir, "info.json")), { "a": "theirs" });
+        test.done();
+    },
+
+    testLocaleExploderExplodeFiles: function(test) {
+        test.expect(4);
+        const outputDir = makeTempDir();
+        const exploder = new LocaleExploder({ outputDir });
+        exploder.explode(["./test/files3/de-DE.js", "./test/files3/ja-JP.json"]).then((written) => {
+            test.equal(written.length, 4);
+            test.deepEqual(readJson(path.join(outputDir, "de/DE/info.json")), {
+                "a": "b de",
+                "c": "d de"
+            });
+            test.deepEqual(readJson(path.join(outputDir, "ja/JP/foo.json")), {
+                "m": "n ja",
+                "o": "p ja"
+            });
+            test.ok(!fs.existsSync(path.join(outputDir, "info.json")));
+            test.done();
+        });
+    },
+
+    testLocaleExploderExplodeBrokenFile: function(test) {
+        test.expect(2);
+        const outputDir = makeTempDir();
+        const brokenFile = path.join(outputDir, "de-DE.json");
+        fs.writeFileSync(brokenFile, '{\n    "de-DE": {\n', "utf-8");
+        const exploder = new LocaleExploder({ outputDir });
+        exploder.explode([brokenFile]).then(() => {
+            test.ok(false);
+            test.done();
+        }).catch((e) => {
+            test.ok(e instanceof LocaleDataParseError);
+            test.equal(e.path, brokenFile);
+            test.done();
+        });
+    },
+
+    testLocaleExploderRoundTrip: function(test) {
+        setPlatform();
+
+        test.expect(1);
+        const assembledDir = makeTempDir();
+        const outputDir = makeTempDir();
+        // on the versions of nodejs where the tests run against the CommonJS
+        // build, ES modules cannot be read
+        const esm = typeof(require) !== 'function';
+        const assembler = new LocaleAssembler({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            format: esm ? "esm" : "cjs",
+            outputDir: assembledDir
+        });
+        const [ assembled ] = assembler.write();
+        if (esm) {
+            fs.writeFileSync(path.join(assembledDir, "package.json"), '{"type": "module"}', "utf-8");
+        }
+
+        new LocaleExploder({ outputDir }).explode([assembled]).then(() => {
+            LocaleData.clearCache();
+            const original = new LocaleData({ path: "./test/files", sync: true });
+            const exploded = new LocaleData({ path: outputDir, sync: true });
+            const params = { locale: "ja-JP", basename: "tester", sync: true };
+            test.deepEqual(exploded.loadData(params), original.loadData(params));
+            LocaleData.clearCache();
+            test.done();
+        });
+    },
+
+    testLocaleExploderCommand: function(test) {
+        test.expect(2);
+        const outputDir = makeTempDir();
+
+        // the command uses the CommonJS build, so this also checks that
+        // the build can load js files
+        const result = spawnSync(process.execPath, [
+            "bin/ilib-explode.js",
+            "--output=" + outputDir,
+            "--basenames", "foo",
+            "./test/files3/de-DE.js"
+        ]);
+        test.equal(result.status, 0);
+        test.deepEqual(fs.readdirSync(path.join(outputDir, "de/DE")), ["foo.json"]);
+        test.done();
+    },
+
+    testLocaleExploderCommandNoFiles: function(test) {
+        test.expect(1);
+        const result = spawnSync(process.execPath, ["bin/ilib-explode.js", "--output", "."]);
+        test.equal(result.status, 2);
+        test.done();
+    }
+};
@@ -0,0 +1,210 @@
+/*
+ * testManifestGenerator.js - test the manifest generator on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { spawnSync } from 'child_process';
+
+import ManifestGenerator from '../src/ManifestGenerator.js';
+import { makeTempDir, writeFiles, removeTempDirs } from './fsUtils.js';
+
+function makeRoot() {
+    return writeFiles(makeTempDir(), {
+        "tester.json": "{}",
+        "en/tester.json": "{}",
+        "en/US/tester.json": "{}",
+        "de-DE.js": "module.exports = function() { return {}; };",
+        "ja-JP.json": "{}",
+        "README.md": "not data",
+        "pkg/package.json": "{}",
+        "pkg/info.json": "{}",
+        "pkg/fr/info.json": "{}"
+    });
+}
+
+export const testManifestGenerator = {
+    tearDown: function(callback) {
+        removeTempDirs();
+        callback();
+    },
+
+    testManifestGeneratorConstructor: function(test) {
+        test.expect(1);
+        const generator = new ManifestGenerator({
+            root: "./test/files"
+        });
+        test.ok(generator);
+        test.done();
+    },
+
+    testManifestGeneratorConstructorNoRoot: function(test) {
+        test.expect(1);
+        test.throws(() => {
+            new ManifestGenerator({});
+        });
+        test.done();
+    },
+
+    testManifestGeneratorGenerateSplitTree: function(test) {
+        test.expect(2);
+        const generator = new ManifestGenerator({
+            root: "./test/files"
+        });
+        const results = generator.generate();
+
+        test.equal(results.length, 1);
+        test.deepEqual(results[0].manifest, {
+            files: [
+                "arrays.json",
+                "en/US/arrays.json",
+                "en/US/merge.json",
+                "en/US/tester.json",
+                "en/arrays.json",
+                "en/merge.json",
+                "en/tester.json",
+                "ja/JP/tester.json",
+                "ja/tester.json",
+                "merge2.json",
+                "merge3.json",
+                "tester.json"
+            ]
+        });
+        test.done();
+    },
+
+    testManifestGeneratorGenerateAssembledFiles: function(test) {
+        test.expect(2);
+        const generator = new ManifestGenerator({
+            root: "./test/files3"
+        });
+        const results = generator.generate();
+
+        test.equal(results.length, 1);
+        // package.json at the top of the root does not count as data
+        test.deepEqual(results[0].manifest, {
+            files: [
+                "de-DE.js",
+                "en-US.js",
+                "ja-JP.json",
+                "root.js",
+                "zh-Hans-CN.json"
+            ]
+        });
+        test.done();
+    },
+
+    testManifestGeneratorGenerateSubroots: function(test) {
+        test.expect(5);
+        const root = makeRoot();
+        const generator = new ManifestGenerator({ root });
+        const results = generator.generate();
+
+        test.equal(results.length, 2);
+        test.equal(results[0].path, path.join(root, "ilibmanifest.json"));
+        test.deepEqual(results[0].manifest, {
+            files: [
+                "de-DE.js",
+                "en/US/tester.json",
+                "en/tester.json",
+                "ja-JP.json",
+                "tester.json"
+            ]
+        });
+        test.equal(results[1].path, path.join(root, "pkg", "ilibmanifest.json"));
+        test.deepEqual(results[1].manifest, {
+            files: [
+                "fr/info.json",
+                "info.json"
+            ]
+        });
+        test.done();
+    },
+
+    testManifestGeneratorWrite: function(test) {
+        test.expect(3);
+        const root = makeRoot();
+        const generator = new ManifestGenerator({ root });
+        const written = generator.write();
+
+        test.equal(written.length, 2);
+        const manifest = JSON.parse(fs.readFileSync(path.join(root, "ilibmanifest.json"), "utf-8"));
+        test.ok(manifest.files.indexOf("en/US/tester.json") > -1);
+        test.ok(fs.existsSync(path.join(root, "pkg", "ilibmanifest.json")));
+        test.done();
+    },
+
+    testManifestGeneratorCheckMissing: function(test) {
+        test.expect(1);
+        const root = makeRoot();
+        const generator = new ManifestGenerator({ root });
+
+        test.deepEqual(generator.check(), [
+            path.join(root, "ilibmanifest.json"),
+            path.join(root, "pkg", "ilibmanifest.json")
+        ]);
+        test.done();
+    },
+
+    testManifestGeneratorCheckUpToDate: function(test) {
+        test.expect(1);
+        const root = makeRoot();
+        const generator = new ManifestGenerator({ root });
+        generator.write();
+
+        test.deepEqual(generator.check(), []);
+        test.done();
+    },
+
+    testManifestGeneratorCheckStale: function(test) {
+        test.expect(1);
+        const root = makeRoot();
+        const generator = new ManifestGenerator({ root });
+        generator.write();
+
+        fs.mkdirSync(path.join(root, "fr"));
+        fs.writeFileSync(path.join(root, "fr", "tester.json"), "{}", "utf-8");
+
+        test.deepEqual(generator.check(), [
+            path.join(root, "ilibmanifest.json")
+        ]);
+        test.done();
+    },
+
+    testManifestGeneratorCommandCheck: function(test) {
+        test.expect(3);
+        const root = makeRoot();
+
+        let result = spawnSync(process.execPath, ["bin/ilib-manifest.js", "--check", root]);
+        test.equal(result.status, 1);
+
+        result = spawnSync(process.execPath, ["bin/ilib-manifest.js", root]);
+        test.equal(result.status, 0);
+
+        result = spawnSync(process.execPath, ["bin/ilib-manifest.js", "--check", root]);
+        test.equal(result.status, 0);
+        test.done();
+    },
+
+    testManifestGeneratorCommandNoRoots: function(test) {
+        test.expect(1);
+        const result = spawnSync(process.execPath, ["bin/ilib-manifest.js"]);
+        test.equal(result.status, 2);
+        test.done();
+    }
+};
@@ -0,0 +1,138 @@
+/*
+ * testRollupPlugin.js - test the rollup plugin on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import ilibLocaleData from '../src/RollupPlugin.js';
+import { LocaleDataOptionsError } from '../src/errors.js';
+import { makeTempDir, removeTempDirs } from './fsUtils.js';
+
+// a stand-in for the plugin context that rollup passes to the hooks
+function makeContext() {
+    return {
+        watched: [],
+        addWatchFile: function(id) {
+            this.watched.push(id);
+        }
+    };
+}
+
+function importSource(source) {
+    const fileName = path.join(makeTempDir(), "chunk.mjs");
+    fs.writeFileSync(fileName, source, "utf-8");
+    return import(pathToFileURL(fileName).href);
+}
+
+export const testRollupPlugin = {
+    tearDown: function(callback) {
+        removeTempDirs();
+        callback();
+    },
+
+    testRollupPluginCreate: function(test) {
+        test.expect(2);
+        const plugin = ilibLocaleData({
+            roots: ["./test/files"],
+            locales: ["ja-JP"]
+        });
+        test.ok(plugin);
+        test.equal(plugin.name, "ilib-localedata");
+        test.done();
+    },
+
+    testRollupPluginBadOptions: function(test) {
+        test.expect(2);
+        test.throws(() => {
+            ilibLocaleData({ roots: ["./test/files"] });
+        }, LocaleDataOptionsError);
+        test.throws(() => {
+            ilibLocaleData({ roots: ["./test/files"], locales: ["ja-JP"], root: 3 });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testRollupPluginResolveId: function(test) {
+        test.expect(4);
+        const plugin = ilibLocaleData({
+            roots: ["./test/files"],
+            locales: ["ja-JP", "de-DE"]
+        });
+        test.equal(plugin.resolveId("virtual:ilib-localedata"), "\0virtual:ilib-localedata");
+        test.equal(plugin.resolveId("virtual:ilib-localedata/ja-JP"), "\0virtual:ilib-localedata/ja-JP");
+        // not one of the target locales
+        test.equal(plugin.resolveId("virtual:ilib-localedata/fr-FR"), null);
+        test.equal(plugin.resolveId("./foo.js"), null);
+        test.done();
+    },
+
+    testRollupPluginLoadModule: function(test) {
+        test.expect(3);
+        const plugin = ilibLocaleData({
+            roots: ["./test/files"],
+            locales: ["ja-JP", "JP"],
+            root: "assembled"
+        });
+        const source = plugin.load.call(makeContext(), "\0virtual:ilib-localedata");
+
+        test.ok(source.indexOf('"ja-JP": () => import("virtual:ilib-localedata/ja-JP")') > -1);
+        // region-only locales are normalized the same way that LocaleData does
+        test.ok(source.indexOf('"und-JP": () => import("virtual:ilib-localedata/und-JP")') > -1);
+        test.ok(source.indexOf('export const root = "assembled";') > -1);
+        test.done();
+    },
+
+    testRollupPluginLoadChunk: function(test) {
+        if (typeof(require) === 'function') {
+            // the tests run under CommonJS on this version of nodejs, which
+            // cannot import the ES module of the chunk
+            test.done();
+            return;
+        }
+        test.expect(4);
+        const plugin = ilibLocaleData({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            basenames: ["tester"]
+        });
+        const context = makeContext();
+        const source = plugin.load.call(context, "\0virtual:ilib-localedata/ja-JP");
+
+        test.deepEqual(context.watched, [ path.resolve("./test/files") ]);
+        importSource(source).then((module) => {
+            const data = module["default"]();
+            // und-JP has no data, so it is left out
+            test.deepEqual(Object.keys(data), ["root", "ja", "ja-JP"]);
+            test.deepEqual(Object.keys(data["ja-JP"]), ["tester"]);
+            test.equal(data.ja.tester.a, "b ja");
+            test.done();
+        });
+    },
+
+    testRollupPluginLoadOtherModule: function(test) {
+        test.expect(1);
+        const plugin = ilibLocaleData({
+            roots: ["./test/files"],
+            locales: ["ja-JP"]
+        });
+        test.equal(plugin.load.call(makeContext(), "/src/foo.js"), null);
+        test.done();
+    }
+};
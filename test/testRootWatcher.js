@@ -0,0 +1,238 @@
+/*
+ * testRootWatcher.js - test watching locale data roots on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import { setPlatform } from 'ilib-env';
+import Locale from 'ilib-locale';
+
+import LocaleData from '../src/LocaleData.js';
+import DataCache from '../src/DataCache.js';
+import RootWatcher from '../src/RootWatcher.js';
+import { makeTempDir, writeFiles, removeTempDirs } from './fsUtils.js';
+
+let watchers = [];
+
+function makeRoot() {
+    return writeFiles(makeTempDir(), {
+        "tester.json": '{"a": "root"}',
+        "en/tester.json": '{"a": "en"}',
+        "en/US/tester.json": '{"b": "en-US"}'
+    });
+}
+
+function makeWatcher(options) {
+    const watcher = new RootWatcher(options);
+    watchers.push(watcher);
+    return watcher;
+}
+
+// wait for the next change event, but don't hang the test suite if it never comes
+function nextChange(watcher, test, callback) {
+    const timer = setTimeout(() => {
+        test.ok(false, "no change event was received");
+        test.done();
+    }, 5000);
+    watcher.once("change", (change) => {
+        clearTimeout(timer);
+        callback(change);
+    });
+}
+
+export const testRootWatcher = {
+    setUp: function(callback) {
+        setPlatform();
+        LocaleData.clearCache();
+        LocaleData.clearGlobalRoots();
+        callback();
+    },
+
+    tearDown: function(callback) {
+        watchers.forEach(watcher => watcher.close());
+        watchers = [];
+        removeTempDirs();
+        callback();
+    },
+
+    testRootWatcherConstructor: function(test) {
+        test.expect(2);
+        const root = makeRoot();
+        const watcher = makeWatcher({ roots: [root] });
+
+        test.ok(watcher);
+        test.deepEqual(watcher.getRoots(), [root]);
+        test.done();
+    },
+
+    testRootWatcherDefaultsToGlobalRoots: function(test) {
+        test.expect(1);
+        const root = makeRoot();
+        LocaleData.addGlobalRoot(root);
+        const watcher = makeWatcher();
+
+        test.deepEqual(watcher.getRoots(), [root]);
+        test.done();
+    },
+
+    testRootWatcherSkipsMissingRoots: function(test) {
+        test.expect(1);
+        const watcher = makeWatcher({ roots: ["./test/doesnotexist"] });
+
+        test.deepEqual(watcher.getRoots(), []);
+        test.done();
+    },
+
+    testRootWatcherUnwatch: function(test) {
+        test.expect(1);
+        const root = makeRoot();
+        const watcher = makeWatcher({ roots: [root] });
+        watcher.unwatch(root);
+
+        test.deepEqual(watcher.getRoots(), []);
+        test.done();
+    },
+
+    testRootWatcherReloadsChangedFile: function(test) {
+        test.expect(5);
+        const root = makeRoot();
+        const locData = new LocaleData({
+            path: root,
+            sync: true
+        });
+
+        test.deepEqual(locData.loadData({ basename: "tester", locale: "en-US" }), {
+            a: "en",
+            b: "en-US"
+        });
+
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+        nextChange(watcher, test, (change) => {
+            test.equal(change.root, root);
+            test.equal(change.locale, "en");
+            test.equal(change.basename, "tester");
+
+            test.deepEqual(locData.loadData({ basename: "tester", locale: "en-US" }), {
+                a: "changed",
+                b: "en-US"
+            });
+            test.done();
+        });
+        fs.writeFileSync(path.join(root, "en", "tester.json"), '{"a": "changed"}', "utf-8");
+    },
+
+    testRootWatcherInvalidatesOnlyChangedLocale: function(test) {
+        test.expect(2);
+        const root = makeRoot();
+        const locData = new LocaleData({
+            path: root,
+            sync: true
+        });
+        locData.loadData({ basename: "tester", locale: "en-US" });
+
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+        nextChange(watcher, test, () => {
+            const cache = DataCache.getDataCache();
+            test.ok(!cache.getData(root, "tester", new Locale("en-US")));
+            test.deepEqual(cache.getData(root, "tester", new Locale("en")), { a: "en" });
+            test.done();
+        });
+        fs.writeFileSync(path.join(root, "en", "US", "tester.json"), '{"b": "changed"}', "utf-8");
+    },
+
+    testRootWatcherPicksUpNewFile: function(test) {
+        test.expect(2);
+        const root = makeRoot();
+        const locData = new LocaleData({
+            path: root,
+            sync: true
+        });
+        test.deepEqual(locData.loadData({ basename: "tester", locale: "de" }), { a: "root" });
+
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+        nextChange(watcher, test, () => {
+            test.deepEqual(locData.loadData({ basename: "tester", locale: "de" }), { a: "de" });
+            test.done();
+        });
+        fs.mkdirSync(path.join(root, "de"));
+        fs.writeFileSync(path.join(root, "de", "tester.json"), '{"a": "de"}', "utf-8");
+    },
+
+    testRootWatcherAssembledFileChange: function(test) {
+        test.expect(3);
+        const root = makeRoot();
+        LocaleData.cacheData({
+            "en": {
+                "tester": { "a": "en assembled" }
+            },
+            "en-US": {
+                "tester": { "b": "en-US assembled" }
+            }
+        }, root);
+
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+        nextChange(watcher, test, (change) => {
+            const cache = DataCache.getDataCache();
+            test.equal(change.locale, "en-US");
+            // the file contains the data for all of the sublocales of en-US
+            test.equal(cache.getData(root, "tester", new Locale("en")), undefined);
+            test.equal(cache.getData(root, "tester", new Locale("en-US")), undefined);
+            test.done();
+        });
+        fs.writeFileSync(path.join(root, "en-US.json"), '{"en": {"tester": {"a": "changed"}}}', "utf-8");
+    },
+
+    testRootWatcherFileChangedEvent: function(test) {
+        test.expect(2);
+        const root = makeRoot();
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+
+        let changes = [];
+        LocaleData.on("fileChanged", change => changes.push(change));
+        nextChange(watcher, test, (change) => {
+            // the watcher's own listeners are called first
+            setTimeout(() => {
+                test.equal(changes.length, 1);
+                test.deepEqual(changes[0], change);
+                LocaleData.off("fileChanged");
+                test.done();
+            }, 0);
+        });
+        fs.writeFileSync(path.join(root, "en", "tester.json"), '{"a": "changed"}', "utf-8");
+    },
+
+    testRootWatcherManifestChange: function(test) {
+        test.expect(3);
+        const root = makeRoot();
+        const locData = new LocaleData({
+            path: root,
+            sync: true
+        });
+        locData.loadData({ basename: "tester", locale: "en-US" });
+
+        const watcher = makeWatcher({ roots: [root], delay: 10 });
+        nextChange(watcher, test, (change) => {
+            test.equal(change.locale, undefined);
+            test.equal(change.basename, undefined);
+            test.equal(DataCache.getDataCache().getData(root, "tester", new Locale("en")), undefined);
+            test.done();
+        });
+        fs.writeFileSync(path.join(root, "ilibmanifest.json"), '{"files": ["tester.json"]}', "utf-8");
+    }
+};
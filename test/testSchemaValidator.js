@@ -0,0 +1,152 @@
+/*
+ * testSchemaValidator.js - test checking locale data against a schema
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import validateSchema from '../src/SchemaValidator.js';
+
+const numfmtSchema = {
+    type: "object",
+    properties: {
+        decimalChar: { type: "string", maxLength: 1 },
+        groupSize: { type: "integer", minimum: 1 },
+        style: { enum: ["standard", "native"] },
+        digits: {
+            type: "array",
+            items: { type: "string" },
+            minItems: 10
+        }
+    },
+    required: ["decimalChar"],
+    additionalProperties: false
+};
+
+export const testSchemaValidator = {
+    testSchemaValidatorValid: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            decimalChar: ",",
+            groupSize: 3,
+            style: "standard"
+        }), []);
+        test.done();
+    },
+
+    testSchemaValidatorWrongType: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            decimalChar: ",",
+            groupSize: "3"
+        }), [
+            "/groupSize: expected integer but found string"
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorUnknownProperty: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            decimalChar: ",",
+            decimalChr: "."
+        }), [
+            '/: unknown property "decimalChr"'
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorRequired: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            groupSize: 3
+        }), [
+            '/: missing required property "decimalChar"'
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorRequiredPartial: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            groupSize: 3
+        }, { partial: true }), []);
+        test.done();
+    },
+
+    testSchemaValidatorMultipleProblems: function(test) {
+        test.expect(1);
+        test.deepEqual(validateSchema(numfmtSchema, {
+            decimalChar: ",,",
+            groupSize: 0,
+            style: "fancy",
+            digits: ["0", 1]
+        }), [
+            "/decimalChar: expected a string of at most 1 characters",
+            "/groupSize: 0 is less than the minimum 1",
+            '/style: "fancy" is not one of ["standard","native"]',
+            "/digits: expected at least 10 items but found 2",
+            "/digits/1: expected string but found number"
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorPatternProperties: function(test) {
+        test.expect(1);
+        const schema = {
+            type: "object",
+            patternProperties: {
+                "^[A-Z]{3}$": { type: "string", pattern: "^.$" }
+            },
+            additionalProperties: false
+        };
+        test.deepEqual(validateSchema(schema, {
+            USD: "$",
+            EUR: "EUR",
+            yen: "¥"
+        }), [
+            '/EUR: "EUR" does not match the pattern ^.$',
+            '/: unknown property "yen"'
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorAnyOf: function(test) {
+        test.expect(2);
+        const schema = {
+            anyOf: [
+                { type: "string" },
+                { type: "array", items: { type: "string" } }
+            ]
+        };
+        test.deepEqual(validateSchema(schema, ["a", "b"]), []);
+        test.deepEqual(validateSchema(schema, 4), [
+            "/: does not match any of the allowed schemas"
+        ]);
+        test.done();
+    },
+
+    testSchemaValidatorMultipleTypes: function(test) {
+        test.expect(2);
+        const schema = {
+            type: ["string", "null"]
+        };
+        test.deepEqual(validateSchema(schema, null), []);
+        test.deepEqual(validateSchema(schema, true), [
+            "/: expected string or null but found boolean"
+        ]);
+        test.done();
+    }
+};
@@ -19,7 +19,17 @@
 
 export const files = [
     "testDataCache.js",
+    "testErrors.js",
+    "testEventHub.js",
+    "testFallbackRegistry.js",
     "testLocaleData.js",
     "testGetLocaleData.js",
-    "testLocaleDataNode.js"
+    "testLocaleAssembler.js",
+    "testLocaleExploder.js",
+    "testLocaleDataNode.js",
+    "testManifestGenerator.js",
+    "testRollupPlugin.js",
+    "testRootWatcher.js",
+    "testSchemaValidator.js",
+    "testWebpackPlugin.js"
 ];
@@ -18,13 +18,21 @@
  */
 
 import { testDataCache } from './testDataCache.js';
+import { testErrors } from './testErrors.js';
+import { testEventHub } from './testEventHub.js';
+import { testFallbackRegistry } from './testFallbackRegistry.js';
 import { testGetLocaleData } from './testGetLocaleData.js';
 import { testLocaleData } from './testLocaleData.js';
 import { testLocaleDataWeb } from './testLocaleDataWeb.js';
+import { testSchemaValidator } from './testSchemaValidator.js';
 
 export const tests = [
     testDataCache,
+    testErrors,
+    testEventHub,
+    testFallbackRegistry,
     testGetLocaleData,
     testLocaleData,
-    testLocaleDataWeb
+    testLocaleDataWeb,
+    testSchemaValidator
 ];
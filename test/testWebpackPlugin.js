@@ -0,0 +1,142 @@
+/*
+ * testWebpackPlugin.js - test the webpack plugin on nodejs
+ *
+ * Copyright © 2026 JEDLSoft
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+import webpack from 'webpack';
+
+import IlibLocaleDataPlugin from '../src/WebpackPlugin.js';
+import { LocaleDataOptionsError } from '../src/errors.js';
+import { makeTempDir, removeTempDirs } from './fsUtils.js';
+
+// the same dynamic import that the webpack loader in ilib-loader uses
+const entrySource = `export default function load(name) {
+    return import(
+        /* webpackInclude: /([a-z][a-z](-[A-Z][a-z][a-z][a-z])?(-[A-Z][A-Z])?|root).js(on)?$/ */
+        /* webpackChunkName: "ilib.[request]" */
+        /* webpackMode: "lazy" */
+        \`calling-module/\${name}\`
+    );
+}
+`;
+
+export const testWebpackPlugin = {
+    tearDown: function(callback) {
+        removeTempDirs();
+        callback();
+    },
+
+    testWebpackPluginConstructor: function(test) {
+        test.expect(2);
+        const plugin = new IlibLocaleDataPlugin({
+            roots: ["./test/files"],
+            locales: ["ja-JP"]
+        });
+        test.ok(plugin);
+        test.equal(plugin.outputDir, path.resolve("node_modules/.cache/ilib-localedata"));
+        test.done();
+    },
+
+    testWebpackPluginConstructorBadOptions: function(test) {
+        test.expect(1);
+        test.throws(() => {
+            new IlibLocaleDataPlugin({ locales: ["ja-JP"] });
+        }, LocaleDataOptionsError);
+        test.done();
+    },
+
+    testWebpackPluginWriteFiles: function(test) {
+        test.expect(3);
+        const outputDir = makeTempDir();
+        const plugin = new IlibLocaleDataPlugin({
+            roots: ["./test/files"],
+            locales: ["ja-JP", "de-DE"],
+            outputDir
+        });
+
+        test.deepEqual(plugin.writeFiles(), [
+            path.join(outputDir, "ja-JP.js"),
+            path.join(outputDir, "de-DE.js")
+        ]);
+        // nothing changed, so nothing is written again
+        test.deepEqual(plugin.writeFiles(), []);
+        const source = fs.readFileSync(path.join(outputDir, "ja-JP.js"), "utf-8");
+        test.ok(source.indexOf('"und-JP"') === -1);
+        test.done();
+    },
+
+    testWebpackPluginSetsAlias: function(test) {
+        test.expect(2);
+        const outputDir = makeTempDir();
+        const plugin = new IlibLocaleDataPlugin({
+            roots: ["./test/files"],
+            locales: ["ja-JP"],
+            outputDir
+        });
+        const tap = () => {};
+        const compiler = {
+            options: {},
+            hooks: {
+                beforeRun: { tap },
+                watchRun: { tap },
+                afterCompile: { tap }
+            }
+        };
+        plugin.apply(compiler);
+        test.equal(compiler.options.resolve.alias["calling-module"], outputDir);
+
+        // does not override an alias set by the app
+        compiler.options.resolve.alias["calling-module"] = "/foo";
+        plugin.apply(compiler);
+        test.equal(compiler.options.resolve.alias["calling-module"], "/foo");
+        test.done();
+    },
+
+    testWebpackPluginBuild: function(test) {
+        test.expect(4);
+        const dir = makeTempDir();
+        fs.writeFileSync(path.join(dir, "entry.js"), entrySource, "utf-8");
+        const compiler = webpack({
+            mode: "development",
+            context: dir,
+            entry: path.join(dir, "entry.js"),
+            output: {
+                path: path.join(dir, "dist")
+            },
+            plugins: [
+                new IlibLocaleDataPlugin({
+                    roots: [ path.resolve("./test/files") ],
+                    locales: ["ja-JP", "de-DE"],
+                    outputDir: path.join(dir, "locale")
+                })
+            ]
+        });
+        compiler.run((err, stats) => {
+            test.ok(!err);
+            test.ok(!stats.hasErrors());
+            const assets = fs.readdirSync(path.join(dir, "dist"));
+            test.ok(assets.indexOf("ilib.ja-JP.js") > -1);
+            test.ok(assets.indexOf("ilib.de-DE.js") > -1);
+            compiler.close(() => {
+                test.done();
+            });
+        });
+    }
+};